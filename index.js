@@ -3,6 +3,8 @@ import express from "express";
 import session from "express-session";
 import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { Strategy as GitHubStrategy } from "passport-github2";
+import nodemailer from "nodemailer";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -10,6 +12,13 @@ import OpenAI from "openai";
 import { GoogleGenerativeAI } from "@google/generative-ai";  // Gemini SDK
 import multer from "multer";
 import fs from "fs";
+import crypto from "crypto";
+import zlib from "zlib";
+import vm from "vm";
+import { Worker } from "worker_threads";
+import { AsyncLocalStorage, AsyncResource } from "async_hooks";
+import { PDFParse } from "pdf-parse";
+import sharp from "sharp";
 
 dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
@@ -18,755 +27,7401 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+// Errors meant for the client: `expose` marks the message as safe to send
+// back as-is with `status`
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  return err;
+}
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const GENERATED_DIR = path.join(__dirname, 'generated');
+
+// Uploads are held in memory until their content has been checked (see
+// UPLOADS below); nothing the client sends is written to disk as-is
+const upload = multer({ 
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Support ticket attachments: screenshots, logs, documents and archives
+const ATTACHMENT_TYPES = [
+  'application/pdf', 'application/json', 'application/zip', 'application/x-zip-compressed'
+];
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('text/') ||
+        ATTACHMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Attachments must be images, text, PDF, JSON or ZIP files.'), false);
+    }
+  }
+});
+
+// ================== DATA STORE ==================
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Small JSON-file collections under data/. Each store keeps its whole
+// document in memory; save() writes to a temp file and renames it so a crash
+// never leaves a half-written file behind.
+function createJsonStore(name, initial = {}) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const data = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : initial;
+
+  return {
+    data,
+    save() {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+// ================== LOGGING & METRICS ==================
+
+// Logs are JSON lines on stdout: { time, level, msg, requestId, ...fields }.
+// LOG_LEVEL (debug, info, warn, error; default info) sets the threshold.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_THRESHOLD = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+const LOG_MAX_STRING = 2000;
+
+// Fields whose values never reach the logs: credentials and anything a user
+// wrote. Matched against the end of the key, so `accessToken` and
+// `systemPrompt` are covered while `promptTokens` is not.
+const REDACTED_KEYS = /(authorization|cookie|password|secret|token|api_?key|prompt|messages|content|text|body|instructions)$/i;
+const SECRET_PATTERNS = [/\bsk-[\w-]{8,}/g, /\bcgai_[\w-]{8,}/g, /\bBearer\s+[^\s"',]+/gi];
+
+// Each request runs inside its own context so that any line logged while
+// handling it carries its id
+const requestContext = new AsyncLocalStorage();
+
+function scrubSecrets(value) {
+  const text = SECRET_PATTERNS.reduce((out, pattern) => out.replace(pattern, "[redacted]"), value);
+  return text.length > LOG_MAX_STRING ? `${text.slice(0, LOG_MAX_STRING)}…` : text;
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: scrubSecrets(String(err.message)),
+    ...(err.status && { status: err.status }),
+    ...(err.code && { code: err.code }),
+    ...(err.stack && { stack: scrubSecrets(err.stack) })
+  };
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === "string") return scrubSecrets(value);
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== "object") return value;
+  if (depth >= 4) return "[object]";
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, REDACTED_KEYS.test(key) ? "[redacted]" : redact(item, depth + 1)]
+  ));
+}
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_THRESHOLD) return;
+  const requestId = requestContext.getStore()?.requestId;
+  process.stdout.write(JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId && { requestId }),
+    ...redact(fields)
+  }) + "\n");
+}
+
+const log = {
+  debug: (msg, fields) => writeLog("debug", msg, fields),
+  info: (msg, fields) => writeLog("info", msg, fields),
+  warn: (msg, fields) => writeLog("warn", msg, fields),
+  error: (msg, fields) => writeLog("error", msg, fields)
+};
+
+// Multer parses bodies from stream events, which run outside the request's
+// context; route the middleware's callback back into it
+function keepRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+// Prometheus metrics, kept in memory and rendered by GET /metrics in the text
+// exposition format. Counters and histograms hold one series per label set.
+const metricsRegistry = [];
+
+function defineMetric(type, name, help, buckets) {
+  const metric = { type, name, help, buckets, series: new Map() };
+  metricsRegistry.push(metric);
+  return metric;
+}
+
+function metricSeries(metric, labels) {
+  const key = JSON.stringify(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, metric.type === "histogram"
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return metric.series.get(key);
+}
+
+function incrementMetric(metric, labels, amount = 1) {
+  metricSeries(metric, labels).value += amount;
+}
+
+function setMetric(metric, labels, value) {
+  metricSeries(metric, labels).value = value;
+}
+
+function observeMetric(metric, labels, value) {
+  const series = metricSeries(metric, labels);
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound) series.counts[i] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metricsRegistry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(
+        `${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`,
+        `${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+        `${metric.name}_count${formatLabels(series.labels)} ${series.count}`
+      );
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+const HTTP_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const PROVIDER_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 80, 180];
+
+const httpRequests = defineMetric("counter", "http_requests_total", "HTTP requests by route and status.");
+const httpDuration = defineMetric("histogram", "http_request_duration_seconds", "HTTP request latency by route.", HTTP_BUCKETS);
+const providerRequests = defineMetric("counter", "provider_requests_total", "Upstream model calls by outcome (success, error, aborted).");
+const providerDuration = defineMetric("histogram", "provider_request_duration_seconds", "Upstream model call latency.", PROVIDER_BUCKETS);
+const providerTokens = defineMetric("counter", "provider_tokens_total", "Tokens reported by upstream models, by type (prompt, completion).");
+const providerCircuitOpen = defineMetric("gauge", "provider_circuit_open", "1 while a provider's circuit breaker is open.");
+const processMemory = defineMetric("gauge", "process_resident_memory_bytes", "Resident memory size.");
+const processHeap = defineMetric("gauge", "nodejs_heap_used_bytes", "V8 heap in use.");
+const processUptime = defineMetric("gauge", "process_uptime_seconds", "Seconds since the server started.");
+
+// One upstream attempt (see callWithRetry()); retries count separately
+function recordProviderCall(entry, outcome, startedAt, usage) {
+  const labels = { provider: entry.provider, model: entry.upstream };
+  incrementMetric(providerRequests, { ...labels, outcome });
+  observeMetric(providerDuration, labels, (performance.now() - startedAt) / 1000);
+  if (usage) {
+    incrementMetric(providerTokens, { ...labels, type: "prompt" }, usage.promptTokens || 0);
+    incrementMetric(providerTokens, { ...labels, type: "completion" }, usage.completionTokens || 0);
+  }
+}
+
+// Routes are labelled by their pattern (/api/chats/:chatId), never the raw
+// path, so ids don't explode the series count
+function routeLabel(req) {
+  if (!req.route) return "other";
+  return req.baseUrl + (typeof req.route.path === "string" ? req.route.path : String(req.route.path));
+}
+
+const QUIET_PATHS = ["/healthz", "/readyz", "/metrics"];
+
+// Request ids come from X-Request-Id when a proxy set one, and are echoed
+// back so clients can quote them
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = performance.now();
+  res.set("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    const seconds = (performance.now() - startedAt) / 1000;
+    const route = routeLabel(req);
+    incrementMetric(httpRequests, { method: req.method, route, status: res.statusCode });
+    observeMetric(httpDuration, { method: req.method, route }, seconds);
+
+    writeLog(QUIET_PATHS.includes(req.path) ? "debug" : "info", "request", {
+      requestId,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ...(req.user && { userId: req.user.id })
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+});
+
+// Scrapers authenticate with METRICS_TOKEN when it is set
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+function hasMetricsToken(req) {
+  const digest = value => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(req.get("Authorization") || ""), digest(`Bearer ${METRICS_TOKEN}`));
+}
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && !hasMetricsToken(req)) {
+    return res.status(401).json({ error: "Metrics token required." });
+  }
+
+  const memory = process.memoryUsage();
+  setMetric(processMemory, {}, memory.rss);
+  setMetric(processHeap, {}, memory.heapUsed);
+  setMetric(processUptime, {}, Math.round(process.uptime()));
+  for (const provider of Object.keys(PROVIDER_PROBES)) {
+    setMetric(providerCircuitOpen, { provider }, isCircuitOpen(provider) ? 1 : 0);
+  }
+
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Liveness: the process is up and serving requests
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+});
+
+// Readiness probes one cheap authenticated call (listing models) per
+// configured provider. Results are cached for PROBE_TTL_MS so frequent
+// readiness checks don't hammer the providers.
+const PROBE_TTL_MS = 60_000;
+const PROBE_TIMEOUT_MS = 5000;
+
+async function probeUrl(url, headers) {
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+  if (!response.ok) {
+    const err = new Error(`HTTP ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+}
+
+const PROVIDER_PROBES = {
+  openai: {
+    key: "OPENAI_API_KEY",
+    probe: () => new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      maxRetries: 0,
+      timeout: PROBE_TIMEOUT_MS
+    }).models.list()
+  },
+  deepseek: {
+    key: "DEEPSEEK_API_KEY",
+    probe: () => probeUrl("https://api.deepseek.com/v1/models", {
+      Authorization: `Bearer ${process.env.DEEPSEEK_API_KEY}`
+    })
+  },
+  gemini: {
+    key: "GEMINI_API_KEY",
+    probe: () => probeUrl("https://generativelanguage.googleapis.com/v1beta/models?pageSize=1", {
+      "x-goog-api-key": process.env.GEMINI_API_KEY
+    })
+  }
+};
+
+const probeResults = {};
+
+function probeProvider(name) {
+  const cached = probeResults[name];
+  if (cached && (cached.pending || Date.now() - cached.checkedAt < PROBE_TTL_MS)) {
+    return cached.pending || Promise.resolve(cached);
+  }
+
+  const startedAt = performance.now();
+  const pending = PROVIDER_PROBES[name].probe()
+    .then(() => ({ reachable: true }))
+    .catch(err => {
+      log.warn("Provider probe failed", { provider: name, err });
+      return { reachable: false, error: err.status ? `HTTP ${err.status}` : err.message };
+    })
+    .then(result => {
+      probeResults[name] = {
+        ...result,
+        latencyMs: Math.round(performance.now() - startedAt),
+        checkedAt: Date.now()
+      };
+      return probeResults[name];
+    });
+  probeResults[name] = { ...cached, pending };
+  return pending;
+}
+
+async function checkStorage() {
+  const file = path.join(DATA_DIR, `.ready-${process.pid}`);
+  try {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.writeFile(file, String(Date.now()));
+    await fs.promises.unlink(file);
+    return { writable: true };
+  } catch (err) {
+    log.error("Storage check failed", { err });
+    return { writable: false, error: err.code || err.message };
+  }
+}
+
+// Ready when the data directory is writable and at least one configured
+// provider answers
+app.get("/readyz", async (req, res) => {
+  const [storage, ...results] = await Promise.all([
+    checkStorage(),
+    ...Object.entries(PROVIDER_PROBES).map(async ([name, { key }]) => {
+      if (!process.env[key]) return [name, { configured: false, reachable: false }];
+      const { reachable, error, latencyMs, checkedAt } = await probeProvider(name);
+      return [name, {
+        configured: true,
+        reachable,
+        ...(error && { error }),
+        latencyMs,
+        checkedAt: new Date(checkedAt).toISOString(),
+        circuitOpen: isCircuitOpen(name)
+      }];
+    })
+  ]);
+
+  const providerStatus = Object.fromEntries(results);
+  const ready = storage.writable && Object.values(providerStatus).some(p => p.reachable);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "unavailable",
+    storage,
+    providers: providerStatus
+  });
+});
+
+// ================== USERS & PLANS ==================
+
+// What each plan unlocks. `features` are checked per route by requireFeature(),
+// `limits` by enforceLimits() (ticket limits by the support ticket routes,
+// upload storage by checkUploadQuota()). `priceUsdt` is what a billing
+// invoice charges for PLAN_DURATION_DAYS.
+const PLANS = {
+  free: {
+    name: "Free",
+    priceUsdt: 0,
+    features: ["playground"],
+    limits: {
+      requestsPerMinute: 10,
+      tokensPerDay: 20000,
+      imagesPerDay: 0,
+      websitesPerMonth: 0,
+      ticketsPerMonth: 1,
+      ticketResponseHours: 96,
+      uploadStorageMb: 25
+    }
+  },
+  plus: {
+    name: "Plus",
+    priceUsdt: 5,
+    features: ["playground", "sites", "advanced"],
+    limits: {
+      requestsPerMinute: 30,
+      tokensPerDay: 300000,
+      imagesPerDay: 20,
+      websitesPerMonth: 5,
+      ticketsPerMonth: 5,
+      ticketResponseHours: 48,
+      uploadStorageMb: 500
+    }
+  },
+  pro: {
+    name: "Pro",
+    priceUsdt: 20,
+    features: ["playground", "sites", "advanced"],
+    limits: {
+      requestsPerMinute: 60,
+      tokensPerDay: Infinity,
+      imagesPerDay: 100,
+      websitesPerMonth: Infinity,
+      ticketsPerMonth: Infinity,
+      ticketResponseHours: 24,
+      uploadStorageMb: 2000
+    }
+  }
+};
+
+// PLAN_LIMITS overrides limits from the environment, e.g.
+// PLAN_LIMITS='{"plus":{"tokensPerDay":500000},"pro":{"imagesPerDay":null}}' (null = unlimited)
+if (process.env.PLAN_LIMITS) {
+  for (const [plan, limits] of Object.entries(JSON.parse(process.env.PLAN_LIMITS))) {
+    if (!Object.hasOwn(PLANS, plan)) throw new Error(`PLAN_LIMITS: unknown plan "${plan}".`);
+    for (const [key, value] of Object.entries(limits)) {
+      PLANS[plan].limits[key] = value === null ? Infinity : Number(value);
+    }
+  }
+}
+
+// Users keyed by our own id. Sign-in methods link to one record: `googleId`
+// and `githubId` for OAuth, `email` for magic links.
+const users = createJsonStore('users');
+
+function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+function findUserByEmail(email) {
+  const wanted = normalizeEmail(email);
+  return wanted ? Object.values(users.data).find(u => normalizeEmail(u.email) === wanted) : undefined;
+}
+
+// `login` is what a sign-in method vouches for: { provider, providerId,
+// email, emailVerified, name, picture }; magic links have no providerId and
+// are matched by email. A signed-in `currentUser` gets the method linked to
+// their account; otherwise a verified email joins an existing account with
+// that address. Unverified addresses are never stored, so they can't be
+// used to take over an account later.
+function upsertLoginUser(login, currentUser) {
+  const now = new Date().toISOString();
+  const field = login.providerId ? `${login.provider}Id` : null;
+  const email = login.emailVerified ? normalizeEmail(login.email) : "";
+
+  const linked = field
+    ? Object.values(users.data).find(u => u[field] === login.providerId)
+    : findUserByEmail(email);
+  if (linked && currentUser && linked.id !== currentUser.id) {
+    throw httpError(409, "That account is already linked to another user.");
+  }
+
+  let user = linked || currentUser || findUserByEmail(email);
+  if (!user) {
+    user = {
+      id: crypto.randomUUID(),
+      plan: "free",
+      planExpiresAt: null,
+      createdAt: now
+    };
+    users.data[user.id] = user;
+  }
+
+  if (field) user[field] = login.providerId;
+  user.email ||= email || null;
+  user.name = login.name || user.name || null;
+  user.picture = login.picture || user.picture || null;
+  user.lastLoginAt = now;
+  users.save();
+
+  return user;
+}
+
+// Paid plans keep working for PLAN_GRACE_DAYS past their expiry date, so
+// there is time to renew before anything is lost
+const PLAN_GRACE_DAYS = process.env.PLAN_GRACE_DAYS ? Number(process.env.PLAN_GRACE_DAYS) : 3;
+
+function graceEndsAt(user) {
+  if (!user?.planExpiresAt) return null;
+  return new Date(new Date(user.planExpiresAt).getTime() + PLAN_GRACE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// A paid plan past its grace period counts as Free
+function effectivePlan(user) {
+  if (!user || !Object.hasOwn(PLANS, user.plan || "")) return "free";
+  if (user.plan !== "free" && user.planExpiresAt && graceEndsAt(user) <= new Date()) {
+    return "free";
+  }
+  return user.plan;
+}
+
+// Renewing the same plan extends it from its current expiry; another plan
+// starts now. Returns the new expiry and what the user had before.
+function extendPlan(user, plan, days) {
+  const start = effectivePlan(user) === plan && user.planExpiresAt
+    ? new Date(user.planExpiresAt)
+    : new Date();
+  const expiresAt = new Date(start.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+  const previous = { plan: user.plan, planExpiresAt: user.planExpiresAt };
+  user.plan = plan;
+  user.planExpiresAt = expiresAt;
+  users.save();
+  return { expiresAt, previous };
+}
+
+// Suspended accounts keep access to their data but can't generate anything
+// (see enforceLimits()). A suspension without `until` lasts until lifted.
+function isSuspended(user) {
+  const suspension = user?.suspension;
+  return Boolean(suspension && (!suspension.until || new Date(suspension.until) > new Date()));
+}
+
+function hasFeature(user, feature) {
+  return PLANS[effectivePlan(user)].features.includes(feature);
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "Login required.", login: "/login.html" });
+  }
+  next();
+}
+
+function requireFeature(feature) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Login required.", login: "/login.html" });
+    }
+    if (!hasFeature(req.user, feature)) {
+      const plan = PLANS[effectivePlan(req.user)];
+      return res.status(403).json({
+        error: `Your ${plan.name} plan does not include this feature.`,
+        plan: effectivePlan(req.user),
+        upgrade: "/plans.html"
+      });
+    }
+    next();
+  };
+}
+
+// ================== USAGE METERING & LIMITS ==================
+
+// Usage per user, per UTC day, per model:
+// { [userId]: { [YYYY-MM-DD]: { [model]: { requests, promptTokens, completionTokens, totalTokens, images, websites } } } }
+const usageStore = createJsonStore('usage');
+
+const USAGE_FIELDS = ["requests", "promptTokens", "completionTokens", "totalTokens", "images", "websites"];
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function recordUsage(userId, model, usage = {}) {
+  const days = (usageStore.data[userId] ||= {});
+  const models = (days[utcDay()] ||= {});
+  const counters = (models[model] ||= Object.fromEntries(USAGE_FIELDS.map(f => [f, 0])));
+
+  counters.requests += 1;
+  for (const field of USAGE_FIELDS.slice(1)) {
+    counters[field] += usage[field] || 0;
+  }
+  usageStore.save();
+}
+
+// Sum of every counter across models for the days matching `inRange`
+function sumUsage(userId, inRange) {
+  const totals = Object.fromEntries(USAGE_FIELDS.map(f => [f, 0]));
+  const byModel = {};
+
+  for (const [day, models] of Object.entries(usageStore.data[userId] || {})) {
+    if (!inRange(day)) continue;
+    for (const [model, counters] of Object.entries(models)) {
+      byModel[model] ||= Object.fromEntries(USAGE_FIELDS.map(f => [f, 0]));
+      for (const field of USAGE_FIELDS) {
+        totals[field] += counters[field] || 0;
+        byModel[model][field] += counters[field] || 0;
+      }
+    }
+  }
+
+  return { totals, byModel };
+}
+
+function secondsUntilNextDay() {
+  const next = new Date();
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next - Date.now()) / 1000);
+}
+
+function secondsUntilNextMonth() {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now) / 1000);
+}
+
+// Sliding one-minute window of request times per user (memory only)
+const recentRequests = new Map();
+
+function takeRateLimitSlot(userId, perMinute) {
+  const now = Date.now();
+  const times = (recentRequests.get(userId) || []).filter(t => now - t < 60_000);
+
+  if (times.length >= perMinute) {
+    recentRequests.set(userId, times);
+    return Math.ceil((times[0] + 60_000 - now) / 1000);
+  }
+
+  times.push(now);
+  recentRequests.set(userId, times);
+  return 0;
+}
+
+function limitsFor(user) {
+  return PLANS[effectivePlan(user)].limits;
+}
+
+function tooManyRequests(res, retryAfter, message, extra = {}) {
+  res.set("Retry-After", String(Math.max(1, retryAfter)));
+  return res.status(429).json({ error: message, retryAfter: Math.max(1, retryAfter), ...extra });
+}
+
+// Checks the per-minute rate limit and the plan quota for `kind`
+// ("chat", "image" or "website") before a route calls a provider, after
+// turning away suspended accounts. Routes record what was actually used
+// with recordUsage().
+function enforceLimits(kind) {
+  return (req, res, next) => {
+    if (isSuspended(req.user)) {
+      const { until } = req.user.suspension;
+      return res.status(403).json({
+        error: `Your account is suspended${until ? ` until ${new Date(until).toUTCString()}` : ""} for violating our content policy.`,
+        suspendedUntil: until
+      });
+    }
+
+    const limits = limitsFor(req.user);
+
+    const wait = takeRateLimitSlot(req.user.id, limits.requestsPerMinute);
+    if (wait) {
+      return tooManyRequests(res, wait, "Too many requests. Please slow down.");
+    }
+
+    const today = utcDay();
+    const month = today.slice(0, 7);
+
+    if (kind === "chat") {
+      const { totals } = sumUsage(req.user.id, day => day === today);
+      if (totals.totalTokens >= limits.tokensPerDay) {
+        return tooManyRequests(res, secondsUntilNextDay(), "Daily token quota reached.", { quota: "tokensPerDay", limit: limits.tokensPerDay });
+      }
+    }
+
+    if (kind === "image") {
+      const requested = Number(req.body.n) || 1;
+      const { totals } = sumUsage(req.user.id, day => day === today);
+      if (totals.images + requested > limits.imagesPerDay) {
+        return tooManyRequests(res, secondsUntilNextDay(), "Daily image quota reached.", { quota: "imagesPerDay", limit: limits.imagesPerDay });
+      }
+    }
+
+    if (kind === "website") {
+      const { totals } = sumUsage(req.user.id, day => day.startsWith(month));
+      if (totals.websites >= limits.websitesPerMonth) {
+        return tooManyRequests(res, secondsUntilNextMonth(), "Monthly website quota reached.", { quota: "websitesPerMonth", limit: limits.websitesPerMonth });
+      }
+    }
+
+    next();
+  };
+}
+
+// Infinity doesn't survive JSON; unlimited is reported as null
+function publicLimits(limits) {
+  return Object.fromEntries(Object.entries(limits)
+    .map(([key, value]) => [key, Number.isFinite(value) ? value : null]));
+}
+
+// Middleware
+// Chats and synced localStorage histories can be large
+app.use(express.json({ limit: "5mb" }));
+app.use(express.urlencoded({ extended: true }));
+app.use('/generated', express.static(GENERATED_DIR));
+
+// ================== AUTH & SESSIONS ==================
+
+// Configuration comes from the environment:
+//   APP_URL                public base URL for OAuth callbacks and magic links
+//   SESSION_SECRET         required; signs the session cookie
+//   TRUST_PROXY            set (e.g. 1) behind Render/nginx so secure cookies work
+//   COOKIE_SECURE          "true"/"false"; defaults to true when APP_URL is https
+//   GOOGLE_CLIENT_ID/_SECRET, GITHUB_CLIENT_ID/_SECRET   enable each provider
+//   SMTP_URL, MAIL_FROM    send magic links; without SMTP_URL outside
+//                          production the link is printed to the console
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const SESSION_MAX_AGE_MS = (Number(process.env.SESSION_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const SECURE_COOKIES = process.env.COOKIE_SECURE
+  ? process.env.COOKIE_SECURE === "true"
+  : APP_URL.startsWith("https://");
+
+if (!process.env.SESSION_SECRET) {
+  throw new Error("SESSION_SECRET must be set.");
+}
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy);
+}
+
+// Sessions live in data/sessions.json so logins survive restarts and
+// deploys: { [sid]: { session, expiresAt } }. touch() only writes when the
+// expiry moved by more than an hour, so ordinary requests don't hit the disk.
+function createSessionStore() {
+  const sessions = createJsonStore('sessions');
+  const store = new session.Store();
+  const expiryOf = sess => sess.cookie?.expires
+    ? new Date(sess.cookie.expires).getTime()
+    : Date.now() + SESSION_MAX_AGE_MS;
+  const live = sid => {
+    const entry = Object.hasOwn(sessions.data, sid) ? sessions.data[sid] : null;
+    return entry && entry.expiresAt > Date.now() ? entry : null;
+  };
+
+  return Object.assign(store, {
+    get(sid, cb) {
+      cb(null, live(sid)?.session || null);
+    },
+
+    set(sid, sess, cb) {
+      sessions.data[sid] = { session: sess, expiresAt: expiryOf(sess) };
+      sessions.save();
+      cb?.();
+    },
+
+    destroy(sid, cb) {
+      if (Object.hasOwn(sessions.data, sid)) {
+        delete sessions.data[sid];
+        sessions.save();
+      }
+      cb?.();
+    },
+
+    touch(sid, sess, cb) {
+      const entry = live(sid);
+      const expiresAt = expiryOf(sess);
+      if (entry && expiresAt - entry.expiresAt > 60 * 60 * 1000) {
+        entry.session.cookie = sess.cookie;
+        entry.expiresAt = expiresAt;
+        sessions.save();
+      }
+      cb?.();
+    },
+
+    // "Sign out all devices"
+    destroyUser(userId) {
+      for (const [sid, entry] of Object.entries(sessions.data)) {
+        if (entry.session.passport?.user === userId) delete sessions.data[sid];
+      }
+      sessions.save();
+    },
+
+    purge() {
+      const now = Date.now();
+      const expired = Object.keys(sessions.data).filter(sid => sessions.data[sid].expiresAt <= now);
+      for (const sid of expired) delete sessions.data[sid];
+      if (expired.length) sessions.save();
+    }
+  });
+}
+
+const sessionStore = createSessionStore();
+sessionStore.purge();
+setInterval(() => sessionStore.purge(), 60 * 60 * 1000).unref();
+
+app.use(
+  session({
+    store: sessionStore,
+    secret: process.env.SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    rolling: true,
+    cookie: {
+      httpOnly: true,
+      secure: SECURE_COOKIES,
+      sameSite: "lax",
+      maxAge: SESSION_MAX_AGE_MS
+    }
+  })
+);
+
+// CSRF: browsers send Origin (or at least Referer) with state-changing
+// requests, so writes that carry our cookie must come from our own pages.
+// Requests without cookies (scripts, API keys) have no session to ride on.
+function isSameOrigin(req) {
+  const source = req.get("Origin") || req.get("Referer");
+  if (!source) return !req.get("Cookie");
+
+  let origin;
+  try {
+    origin = new URL(source).origin;
+  } catch {
+    return false;
+  }
+  return origin === new URL(APP_URL).origin || origin === `${req.protocol}://${req.get("host")}`;
+}
+
+app.use(["/api", "/auth"], (req, res, next) => {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method) || isSameOrigin(req)) return next();
+  res.status(403).json({ error: "Cross-site request blocked." });
+});
+
+// Passport setup
+app.use(passport.initialize());
+app.use(passport.session());
+
+// Only the user id lives in the session; plan changes apply on the next request
+passport.serializeUser((user, done) => {
+  done(null, user.id);
+});
+passport.deserializeUser((id, done) => {
+  done(null, users.data[id] || false);
+});
+
+// Each OAuth provider maps its profile onto upsertLoginUser()'s `login`
+const OAUTH_PROVIDERS = {
+  google: {
+    Strategy: GoogleStrategy,
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    options: { scope: ["profile", "email"] },
+    login: profile => ({
+      providerId: profile.id,
+      email: profile.emails?.[0]?.value,
+      emailVerified: profile.emails?.[0]?.verified === true,
+      name: profile.displayName,
+      picture: profile.photos?.[0]?.value
+    })
+  },
+  github: {
+    Strategy: GitHubStrategy,
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    options: { scope: ["user:email"], allRawEmails: true },
+    login: profile => {
+      const primary = profile.emails?.find(e => e.primary && e.verified);
+      return {
+        providerId: profile.id,
+        email: primary?.value,
+        emailVerified: !!primary,
+        name: profile.displayName || profile.username,
+        picture: profile.photos?.[0]?.value
+      };
+    }
+  }
+};
+
+// Session fixation is handled by req.login(), which starts a new session
+function finishLogin(req, res, next, user) {
+  req.login(user, err => err ? next(err) : res.redirect("/index.html"));
+}
+
+function loginFailed(res, reason) {
+  res.redirect(`/login.html?error=${reason}`);
+}
+
+for (const [provider, config] of Object.entries(OAUTH_PROVIDERS)) {
+  if (!config.clientId || !config.clientSecret) continue;
+
+  passport.use(new config.Strategy(
+    {
+      clientID: config.clientId,
+      clientSecret: config.clientSecret,
+      callbackURL: `${APP_URL}/auth/${provider}/callback`,
+      passReqToCallback: true,
+      ...config.options
+    },
+    (req, accessToken, refreshToken, profile, done) => {
+      try {
+        done(null, upsertLoginUser({ provider, ...config.login(profile) }, req.user));
+      } catch (err) {
+        done(err);
+      }
+    }
+  ));
+
+  app.get(`/auth/${provider}`, passport.authenticate(provider, config.options));
+
+  app.get(`/auth/${provider}/callback`, (req, res, next) => {
+    passport.authenticate(provider, (err, user) => {
+      if (err && !err.expose) log.error("Login error", { provider, err });
+      if (err || !user) return loginFailed(res, err?.status === 409 ? "linked" : "failed");
+      finishLogin(req, res, next, user);
+    })(req, res, next);
+  });
+}
+
+// Magic links: one-time tokens stored as their SHA-256,
+// { [hash]: { email, createdAt, expiresAt } }
+const loginTokens = createJsonStore('login-tokens');
+
+const MAGIC_LINK_MINUTES = 15;
+const MAGIC_LINKS_PER_HOUR = 5;
+const EMAIL_LOGIN = !!process.env.SMTP_URL || process.env.NODE_ENV !== "production";
+
+const mailer = process.env.SMTP_URL ? nodemailer.createTransport(process.env.SMTP_URL) : null;
+
+async function sendMail({ to, subject, text }) {
+  if (!mailer) {
+    // Outside production the body is logged too, so magic links can be
+    // followed without a mail server
+    log.info("Mail not sent: SMTP_URL is not set", {
+      to,
+      subject,
+      ...(process.env.NODE_ENV !== "production" && { preview: text })
+    });
+    return;
+  }
+  await mailer.sendMail({
+    from: process.env.MAIL_FROM || `CodeGoldenAI <no-reply@${new URL(APP_URL).hostname}>`,
+    to,
+    subject,
+    text
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Sign-in methods the login page should offer
+app.get("/api/auth/providers", (req, res) => {
+  res.json({
+    ...Object.fromEntries(Object.entries(OAUTH_PROVIDERS)
+      .map(([provider, config]) => [provider, !!(config.clientId && config.clientSecret)])),
+    email: EMAIL_LOGIN
+  });
+});
+
+// Always answers the same way, whether or not the address has an account
+app.post("/auth/email", async (req, res) => {
+  try {
+    if (!EMAIL_LOGIN) {
+      return res.status(503).json({ error: "Email login is not available." });
+    }
+    const email = normalizeEmail(req.body.email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 254) {
+      return res.status(400).json({ error: "Enter a valid email address." });
+    }
+
+    const now = Date.now();
+    for (const [hash, entry] of Object.entries(loginTokens.data)) {
+      if (entry.expiresAt <= now) delete loginTokens.data[hash];
+    }
+    const recent = Object.values(loginTokens.data)
+      .filter(entry => entry.email === email && entry.createdAt > now - 60 * 60 * 1000);
+    if (recent.length >= MAGIC_LINKS_PER_HOUR) {
+      const retryAfter = Math.ceil((Math.min(...recent.map(e => e.createdAt)) + 60 * 60 * 1000 - now) / 1000);
+      return tooManyRequests(res, retryAfter, "Too many sign-in links requested. Try again later.");
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    loginTokens.data[hashToken(token)] = {
+      email,
+      createdAt: now,
+      expiresAt: now + MAGIC_LINK_MINUTES * 60 * 1000
+    };
+    loginTokens.save();
+
+    await sendMail({
+      to: email,
+      subject: "Your CodeGoldenAI sign-in link",
+      text: `Sign in to CodeGoldenAI:\n\n${APP_URL}/auth/email/verify?token=${token}\n\n` +
+        `The link works once and expires in ${MAGIC_LINK_MINUTES} minutes. ` +
+        "If you didn't ask for it, you can ignore this email."
+    });
+
+    res.json({ success: true, message: "Check your inbox for a sign-in link." });
+  } catch (err) {
+    log.error("Magic link error", { err });
+    res.status(500).json({ error: "Error sending sign-in link." });
+  }
+});
+
+app.get("/auth/email/verify", (req, res, next) => {
+  const hash = hashToken(String(req.query.token || ""));
+  const entry = Object.hasOwn(loginTokens.data, hash) ? loginTokens.data[hash] : null;
+  if (!entry) return loginFailed(res, "expired");
+
+  delete loginTokens.data[hash];
+  loginTokens.save();
+  if (entry.expiresAt <= Date.now()) return loginFailed(res, "expired");
+
+  try {
+    const user = upsertLoginUser({ provider: "email", email: entry.email, emailVerified: true }, req.user);
+    finishLogin(req, res, next, user);
+  } catch (err) {
+    if (err.status === 409) return loginFailed(res, "linked");
+    next(err);
+  }
+});
+
+app.post("/api/logout", (req, res, next) => {
+  req.logout(err => {
+    if (err) return next(err);
+    req.session.destroy(() => {
+      res.clearCookie("connect.sid");
+      res.json({ success: true });
+    });
+  });
+});
+
+// Ends every session of this user, including the current one
+app.post("/api/logout-all", requireAuth, (req, res) => {
+  sessionStore.destroyUser(req.user.id);
+  res.clearCookie("connect.sid");
+  res.json({ success: true });
+});
+
+// Serve static frontend files. Uploads are private (GET /uploads/:file
+// checks who is asking) and the data directory is never served.
+const serveFrontend = express.static(path.join(__dirname));
+
+function isPrivatePath(urlPath) {
+  let file;
+  try {
+    file = path.join(__dirname, decodeURIComponent(urlPath));
+  } catch {
+    return true;
+  }
+  return [UPLOAD_DIR, DATA_DIR].some(dir => file === dir || file.startsWith(dir + path.sep));
+}
+
+app.use((req, res, next) => isPrivatePath(req.path) ? next() : serveFrontend(req, res, next));
+
+// Default route → login.html
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "login.html"));
+});
+
+
+// Current user and plan for the frontend
+app.get("/api/me", (req, res) => {
+  if (!req.user) return res.json({ loggedIn: false });
+
+  const plan = effectivePlan(req.user);
+  res.json({
+    loggedIn: true,
+    id: req.user.id,
+    email: req.user.email,
+    name: req.user.name,
+    picture: req.user.picture,
+    logins: {
+      google: !!req.user.googleId,
+      github: !!req.user.githubId,
+      email: !!req.user.email
+    },
+    plan,
+    planName: PLANS[plan].name,
+    planExpiresAt: plan === "free" ? null : req.user.planExpiresAt,
+    planGraceEndsAt: plan === "free" ? null : graceEndsAt(req.user).toISOString(),
+    features: PLANS[plan].features,
+    limits: publicLimits(PLANS[plan].limits),
+    suspension: isSuspended(req.user)
+      ? { reason: req.user.suspension.reason, until: req.user.suspension.until }
+      : null
+  });
+});
+
+// Usage summary for the current user: ?days= (default 30) of daily history
+app.get("/api/usage", requireAuth, (req, res) => {
+  const days = Math.min(366, Math.max(1, parseInt(req.query.days, 10) || 30));
+  const today = utcDay();
+  const month = today.slice(0, 7);
+  const since = utcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+
+  const history = Object.entries(usageStore.data[req.user.id] || {})
+    .filter(([day]) => day >= since)
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([day, models]) => ({ day, models }));
+
+  res.json({
+    success: true,
+    plan: effectivePlan(req.user),
+    limits: publicLimits(limitsFor(req.user)),
+    today: sumUsage(req.user.id, day => day === today),
+    month: sumUsage(req.user.id, day => day.startsWith(month)),
+    history
+  });
+});
+
+// ================== UPLOADS ==================
+
+// Uploaded files keyed by file name:
+// { [file]: { file, userId, kind: "image" | "attachment", name, mimeType, size, createdAt, lastUsedAt } }
+// Files are private: GET /uploads/:file serves them to their owner, or to
+// anyone holding a signed URL from signedUploadUrl().
+const uploadsStore = createJsonStore('uploads');
+
+const UPLOAD_MAX_DIMENSION = Number(process.env.UPLOAD_MAX_DIMENSION) || 2048;
+const UPLOAD_RETENTION_DAYS = Number(process.env.UPLOAD_RETENTION_DAYS) || 90;
+const UPLOAD_SIGNED_URL_SECONDS = Number(process.env.UPLOAD_SIGNED_URL_SECONDS) || 24 * 60 * 60;
+const UPLOAD_MAX_SIGNED_URL_SECONDS = 7 * 24 * 60 * 60;
+const UPLOAD_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Files on disk without a record are left alone this long, so an upload
+// that is still being written is never mistaken for an orphan
+const UPLOAD_ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+const UPLOAD_SIGNING_SECRET = process.env.UPLOAD_SIGNING_SECRET || process.env.SESSION_SECRET;
+
+// The client's mimetype and file name are never trusted; the first bytes decide
+const IMAGE_SIGNATURES = {
+  png: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  jpeg: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  gif: buffer => /^GIF8[79]a$/.test(buffer.toString("latin1", 0, 6)),
+  webp: buffer => buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP"
+};
+
+function sniffImage(buffer) {
+  return Object.keys(IMAGE_SIGNATURES).find(format => IMAGE_SIGNATURES[format](buffer)) || null;
+}
+
+// Decode and re-encode so only pixels survive: rotate() applies the EXIF
+// orientation, and sharp writes no EXIF/GPS/XMP metadata unless asked to.
+// Large images are scaled down; GIFs become a still PNG.
+async function reencodeImage(buffer) {
+  const format = sniffImage(buffer);
+  if (!format) {
+    throw httpError(400, "Only PNG, JPEG, GIF and WebP images are allowed.");
+  }
+
+  const output = format === "gif" ? "png" : format;
+  let data;
+  try {
+    data = await sharp(buffer, { limitInputPixels: 50_000_000 })
+      .rotate()
+      .resize({
+        width: UPLOAD_MAX_DIMENSION,
+        height: UPLOAD_MAX_DIMENSION,
+        fit: "inside",
+        withoutEnlargement: true
+      })
+      .toFormat(output)
+      .toBuffer();
+  } catch {
+    throw httpError(400, "The image could not be read.");
+  }
+
+  return { data, mimeType: `image/${output}`, extension: output === "jpeg" ? ".jpg" : `.${output}` };
+}
+
+// Other ticket attachments are stored as sent, but must really be what they
+// claim to be. Text is served back as text/plain, never as HTML.
+function checkAttachment(file) {
+  const buffer = file.buffer;
+
+  if (file.mimetype === "application/pdf") {
+    if (buffer.toString("latin1", 0, 5) === "%PDF-") return { mimeType: "application/pdf", extension: ".pdf" };
+  } else if (file.mimetype === "application/zip" || file.mimetype === "application/x-zip-compressed") {
+    if (["PK\x03\x04", "PK\x05\x06"].includes(buffer.toString("latin1", 0, 4))) {
+      return { mimeType: "application/zip", extension: ".zip" };
+    }
+  } else if (file.mimetype === "application/json" || file.mimetype.startsWith("text/")) {
+    let text = null;
+    try {
+      text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch {}
+    if (text !== null && !text.includes("\0")) {
+      if (file.mimetype !== "application/json") return { mimeType: "text/plain", extension: ".txt" };
+      try {
+        JSON.parse(text);
+        return { mimeType: "application/json", extension: ".json" };
+      } catch {}
+    }
+  }
+
+  throw httpError(400, `"${file.originalname}" does not match its file type.`);
+}
+
+// Uploads and knowledge base documents share the plan's storage quota
+function uploadUsage(userId) {
+  return [...Object.values(uploadsStore.data), ...Object.values(knowledgeDocs.data)]
+    .filter(record => record.userId === userId)
+    .reduce((total, record) => total + record.size, 0);
+}
+
+function checkUploadQuota(user, bytes) {
+  const limitMb = limitsFor(user).uploadStorageMb;
+  if (uploadUsage(user.id) + bytes > limitMb * 1024 * 1024) {
+    throw httpError(413, `Upload storage limit of ${limitMb} MB reached. Delete old uploads or upgrade your plan.`);
+  }
+}
+
+// Files get random names, so URLs can't be guessed from one another
+async function storeUpload(userId, kind, name, { data, mimeType, extension }) {
+  const file = `${crypto.randomUUID()}${extension}`;
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(UPLOAD_DIR, file), data);
+
+  const now = new Date().toISOString();
+  const record = { file, userId, kind, name, mimeType, size: data.length, createdAt: now, lastUsedAt: now };
+  uploadsStore.data[file] = record;
+  uploadsStore.save();
+  return record;
+}
+
+async function saveImageUpload(user, file) {
+  const image = await reencodeImage(file.buffer);
+  checkUploadQuota(user, image.data.length);
+  return storeUpload(user.id, "image", file.originalname, image);
+}
+
+// Everything is checked before anything is written, and files already
+// written are removed if a later one fails. Files belong to `ownerId` (the
+// ticket's user); engineers replying without a user account pass no `user`
+// and aren't held to a quota.
+async function saveAttachments(user, ownerId, files = []) {
+  const checked = [];
+  for (const file of files) {
+    const content = file.mimetype.startsWith("image/")
+      ? await reencodeImage(file.buffer)
+      : { data: file.buffer, ...checkAttachment(file) };
+    checked.push({ name: file.originalname, content });
+  }
+
+  if (user) checkUploadQuota(user, checked.reduce((total, { content }) => total + content.data.length, 0));
+
+  const records = [];
+  try {
+    for (const { name, content } of checked) {
+      records.push(await storeUpload(ownerId, "attachment", name, content));
+    }
+  } catch (err) {
+    await Promise.all(records.map(deleteUpload)).catch(() => {});
+    throw err;
+  }
+  return records;
+}
+
+async function deleteUpload(record) {
+  await fs.promises.rm(path.join(UPLOAD_DIR, record.file), { force: true });
+  delete uploadsStore.data[record.file];
+  uploadsStore.save();
+}
+
+function findUpload(file) {
+  return Object.hasOwn(uploadsStore.data, file) ? uploadsStore.data[file] : null;
+}
+
+// lastUsedAt drives retention; written at most hourly per file
+function touchUpload(record) {
+  const now = new Date();
+  if (now - new Date(record.lastUsedAt || 0) > 60 * 60 * 1000) {
+    record.lastUsedAt = now.toISOString();
+    uploadsStore.save();
+  }
+}
+
+function uploadSignature(file, expires) {
+  return crypto.createHmac("sha256", UPLOAD_SIGNING_SECRET).update(`${file}:${expires}`).digest("base64url");
+}
+
+// A link that works without a login until it expires, e.g. for shared
+// chats and for engineers viewing ticket attachments
+function signedUploadUrl(file, seconds = UPLOAD_SIGNED_URL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + seconds;
+  return `/uploads/${encodeURIComponent(file)}?expires=${expires}&sig=${uploadSignature(file, expires)}`;
+}
+
+function hasValidSignature(file, { expires, sig } = {}) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof sig !== "string") return false;
+  const expected = Buffer.from(uploadSignature(file, expiresAt));
+  const given = Buffer.from(sig);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Resolves an /uploads/ URL (plain or signed) to its record if `userId` may
+// read it
+function authorizedUpload(url, userId) {
+  const local = /^\/uploads\/([^/?#]+)(?:\?([^#]*))?$/.exec(url);
+  if (!local) return null;
+
+  let file;
+  try {
+    file = decodeURIComponent(local[1]);
+  } catch {
+    return null;
+  }
+  const record = findUpload(file);
+  const query = Object.fromEntries(new URLSearchParams(local[2] || ""));
+  if (!record || !(record.userId === userId || hasValidSignature(file, query))) return null;
+  return record;
+}
+
+function uploadSummary(record) {
+  const { userId, ...summary } = record;
+  return { ...summary, url: `/uploads/${record.file}` };
+}
+
+// Which user each unrecorded file belongs to, from the chats and tickets
+// that link to it
+async function uploadReferences() {
+  const owners = new Map();
+  const collect = (value, userId, kind) => {
+    for (const [, file] of JSON.stringify(value).matchAll(/\/uploads\/([\w.-]+)/g)) {
+      if (!owners.has(file)) owners.set(file, { userId, kind });
+    }
+  };
+
+  for (const userId of Object.keys(users.data)) {
+    const { chats } = await chatStore.list(userId, { limit: Infinity });
+    collect(chats, userId, "image");
+  }
+  for (const ticket of Object.values(tickets.data)) {
+    collect(ticket.messages, ticket.userId, "attachment");
+  }
+  return owners;
+}
+
+// Retention job. Drops records whose file is gone, deletes files nobody
+// owns, and deletes uploads unused for UPLOAD_RETENTION_DAYS. Files from
+// before uploads were recorded are adopted by the chat or ticket linking to
+// them instead of being deleted.
+async function purgeUploads() {
+  const now = Date.now();
+  const files = await fs.promises.readdir(UPLOAD_DIR).catch(() => []);
+  const onDisk = new Set(files);
+  let changed = false;
+
+  for (const record of Object.values(uploadsStore.data)) {
+    if (!onDisk.has(record.file)) {
+      delete uploadsStore.data[record.file];
+      changed = true;
+    }
+  }
+
+  const unrecorded = files.filter(file => !findUpload(file));
+  const owners = unrecorded.length ? await uploadReferences() : new Map();
+  for (const file of unrecorded) {
+    const fullPath = path.join(UPLOAD_DIR, file);
+    const stat = await fs.promises.stat(fullPath).catch(() => null);
+    if (!stat?.isFile() || now - stat.mtimeMs < UPLOAD_ORPHAN_GRACE_MS) continue;
+
+    const owner = owners.get(file);
+    if (owner) {
+      uploadsStore.data[file] = {
+        file,
+        userId: owner.userId,
+        kind: owner.kind,
+        name: file,
+        mimeType: IMAGE_MIME_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+        size: stat.size,
+        createdAt: stat.mtime.toISOString(),
+        lastUsedAt: new Date(now).toISOString()
+      };
+    } else {
+      await fs.promises.rm(fullPath, { force: true });
+    }
+    changed = true;
+  }
+
+  const cutoff = now - UPLOAD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const record of Object.values(uploadsStore.data)) {
+    if (new Date(record.lastUsedAt || record.createdAt).getTime() < cutoff) {
+      await fs.promises.rm(path.join(UPLOAD_DIR, record.file), { force: true });
+      delete uploadsStore.data[record.file];
+      changed = true;
+    }
+  }
+
+  if (changed) uploadsStore.save();
+}
+
+function runUploadPurge() {
+  purgeUploads().catch(err => log.error("Upload purge error", { err }));
+}
+
+setTimeout(runUploadPurge, 60 * 1000).unref();
+setInterval(runUploadPurge, UPLOAD_PURGE_INTERVAL_MS).unref();
+
+// Uploaded files are served to their owner, or with a valid signature. Any
+// other request gets the same 404 as a missing file.
+app.get("/uploads/:file", (req, res) => {
+  const record = findUpload(req.params.file);
+  if (!record || !(record.userId === req.user?.id || hasValidSignature(record.file, req.query))) {
+    return res.status(404).json({ error: "File not found." });
+  }
+
+  touchUpload(record);
+  res.set({
+    "Cache-Control": "private, max-age=3600",
+    "Content-Security-Policy": "sandbox",
+    "X-Content-Type-Options": "nosniff"
+  });
+  // attachment() guesses a type from the name, so the recorded type goes last
+  if (record.kind !== "image") res.attachment(record.name);
+  res.type(record.mimeType);
+  res.sendFile(path.join(UPLOAD_DIR, record.file), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: "File not found." });
+  });
+});
+
+// The user's uploads and how much of their storage they use
+app.get("/api/uploads", requireAuth, (req, res) => {
+  const list = Object.values(uploadsStore.data)
+    .filter(record => record.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(uploadSummary);
+
+  res.json({
+    success: true,
+    uploads: list,
+    used: uploadUsage(req.user.id),
+    limit: limitsFor(req.user).uploadStorageMb * 1024 * 1024
+  });
+});
+
+// Signed link to one of the user's uploads; `expiresIn` is in seconds
+app.post("/api/uploads/:file/link", requireAuth, (req, res) => {
+  const record = findUpload(req.params.file);
+  if (!record || record.userId !== req.user.id) {
+    return res.status(404).json({ error: "File not found." });
+  }
+
+  const seconds = Math.min(UPLOAD_MAX_SIGNED_URL_SECONDS,
+    Math.max(60, parseInt(req.body.expiresIn, 10) || UPLOAD_SIGNED_URL_SECONDS));
+  res.json({
+    success: true,
+    url: signedUploadUrl(record.file, seconds),
+    expiresAt: new Date(Date.now() + seconds * 1000).toISOString()
+  });
+});
+
+app.delete("/api/uploads/:file", requireAuth, async (req, res) => {
+  try {
+    const record = findUpload(req.params.file);
+    if (!record || record.userId !== req.user.id) {
+      return res.status(404).json({ error: "File not found." });
+    }
+    await deleteUpload(record);
+    res.json({ success: true });
+  } catch (err) {
+    log.error("Delete upload error", { err });
+    res.status(500).json({ error: "Error deleting upload." });
+  }
+});
+
+// ================== MODERATION ==================
+
+// User text is checked before it reaches a provider and model output before
+// it reaches the user. Checks report flags ([{ category, rule }]) and the
+// user's plan policy turns each category into an action:
+//   allow   nothing happens
+//   warn    the text goes through and the response carries a notice
+//   redact  matched text becomes "[redacted]"; only keyword rules can locate
+//           what they matched, so other checks' redact flags block instead
+//   block   input is rejected with 400; output is withheld
+// Block and warn verdicts are queued for admin review. Only the newest user
+// message of a conversation is checked (earlier turns were checked when they
+// were sent), and images are checked by their prompt.
+
+// Keyword rules: { id, category, pattern, validate? }. MODERATION_RULES_FILE
+// may point at a JSON array of { id, category, pattern, flags? } entries that
+// replace the rules with the same id or add new ones; { id, disabled: true }
+// turns a rule off.
+const DEFAULT_MODERATION_RULES = [
+  {
+    id: "card-number",
+    category: "pii",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => passesLuhn(match.replace(/\D/g, ""))
+  },
+  { id: "us-ssn", category: "pii", pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    id: "private-key",
+    category: "credentials",
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  {
+    id: "api-key",
+    category: "credentials",
+    pattern: /\b(?:sk-[\w-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36}|xox[abprs]-[\w-]{10,})\b/g
+  },
+  {
+    id: "minors-sexual",
+    category: "sexual/minors",
+    pattern: /\b(?:children|child|kids?|minors?|underage|preteens?)\b[^.\n]{0,40}\b(?:porn\w*|nudes?|naked|sexual\w*)\b|\b(?:porn\w*|nudes?|naked|sexual\w*)\b[^.\n]{0,40}\b(?:children|child|kids?|minors?|underage|preteens?)\b/gi
+  },
+  {
+    id: "self-harm",
+    category: "self-harm",
+    pattern: /\b(?:kill|hurt|harm)\s+myself\b|\b(?:ways?|how)\s+to\s+(?:commit\s+)?suicide\b/gi
+  },
+  {
+    id: "malware",
+    category: "illicit/malware",
+    pattern: /\b(?:write|build|create|make|code)\b[^.\n]{0,40}\b(?:ransomware|keyloggers?|credential[- ]stealers?|botnets?)\b/gi
+  }
+];
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function loadModerationRules() {
+  const rules = new Map(DEFAULT_MODERATION_RULES.map(rule => [rule.id, rule]));
+  if (!process.env.MODERATION_RULES_FILE) return rules;
+
+  for (const rule of JSON.parse(fs.readFileSync(process.env.MODERATION_RULES_FILE, 'utf8'))) {
+    if (rule.disabled) {
+      rules.delete(rule.id);
+      continue;
+    }
+    if (!rule.id || !rule.category || !rule.pattern) {
+      throw new Error("MODERATION_RULES_FILE: every rule needs an id, a category and a pattern.");
+    }
+    const flags = new Set(`${rule.flags ?? "i"}g`);
+    rules.set(rule.id, { id: rule.id, category: rule.category, pattern: new RegExp(rule.pattern, [...flags].join("")) });
+  }
+  return rules;
+}
+
+const moderationRules = loadModerationRules();
+
+function ruleMatches(rule, text) {
+  return [...text.matchAll(rule.pattern)].filter(([match]) => !rule.validate || rule.validate(match));
+}
+
+function redactText(text, ruleIds) {
+  return ruleIds.reduce((result, id) => {
+    const rule = moderationRules.get(id);
+    return result.replace(rule.pattern, match => !rule.validate || rule.validate(match) ? "[redacted]" : match);
+  }, text);
+}
+
+const MODERATION_MODEL = "omni-moderation-latest";
+const MODERATION_MAX_CHARS = 20_000;
+
+// Moderation checks: check(text) resolves to flags [{ category, rule }].
+// MODERATION_CHECKS lists the ones to run, comma-separated (default
+// "keywords"). A check that fails is skipped for that request, so an outage
+// of a moderation API doesn't take generation down with it.
+const moderationChecks = {
+  // Default: the keyword/regex rules above
+  keywords() {
+    return {
+      async check(text) {
+        return [...moderationRules.values()]
+          .filter(rule => ruleMatches(rule, text).length)
+          .map(rule => ({ category: rule.category, rule: rule.id }));
+      }
+    };
+  },
+
+  // OpenAI's moderation endpoint. Its categories ("harassment",
+  // "self-harm/intent", "sexual/minors", ...) share the policy's names.
+  openai() {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("MODERATION_CHECKS=openai needs OPENAI_API_KEY.");
+    }
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 1, timeout: 10_000 });
+
+    return {
+      async check(text) {
+        const { results } = await openai.moderations.create({
+          model: MODERATION_MODEL,
+          input: text.slice(0, MODERATION_MAX_CHARS)
+        });
+        return Object.entries(results[0]?.categories || {})
+          .filter(([, flagged]) => flagged)
+          .map(([category]) => ({ category, rule: "openai" }));
+      }
+    };
+  }
+};
+
+const MODERATION_CHECKS = (process.env.MODERATION_CHECKS || "keywords").split(",").map(name => name.trim()).filter(Boolean);
+const activeModerationChecks = MODERATION_CHECKS.map(name => {
+  if (!moderationChecks[name]) throw new Error(`Unknown moderation check "${name}".`);
+  return { name, ...moderationChecks[name]() };
+});
+
+// Per-plan policy, category -> action. Categories without an entry use their
+// parent ("self-harm/intent" -> "self-harm"), then `default`.
+// MODERATION_POLICIES overrides entries from the environment, e.g.
+// MODERATION_POLICIES='{"pro":{"violence":"allow"}}'
+const MODERATION_ACTIONS = ["allow", "warn", "redact", "block"];
+
+const MODERATION_POLICIES = {
+  free: {
+    default: "block",
+    "self-harm": "warn",
+    pii: "redact",
+    credentials: "redact"
+  },
+  plus: {
+    default: "block",
+    "self-harm": "warn",
+    harassment: "warn",
+    violence: "warn",
+    pii: "redact",
+    credentials: "redact"
+  },
+  pro: {
+    default: "block",
+    "self-harm": "warn",
+    harassment: "warn",
+    violence: "warn",
+    "illicit/malware": "warn",
+    pii: "redact",
+    credentials: "redact"
+  }
+};
+
+if (process.env.MODERATION_POLICIES) {
+  for (const [plan, policy] of Object.entries(JSON.parse(process.env.MODERATION_POLICIES))) {
+    if (!MODERATION_POLICIES[plan]) throw new Error(`MODERATION_POLICIES: unknown plan "${plan}".`);
+    for (const [category, action] of Object.entries(policy)) {
+      if (!MODERATION_ACTIONS.includes(action)) {
+        throw new Error(`MODERATION_POLICIES: unknown action "${action}" for ${plan}/${category}.`);
+      }
+      MODERATION_POLICIES[plan][category] = action;
+    }
+  }
+}
+
+function moderationAction(user, category) {
+  const policy = MODERATION_POLICIES[effectivePlan(user)];
+  return policy[category] || policy[category.split("/")[0]] || policy.default;
+}
+
+// Repeat offenders: MODERATION_STRIKE_LIMIT strikes within
+// MODERATION_STRIKE_WINDOW_DAYS suspend generation for
+// MODERATION_SUSPEND_DAYS. A strike is a blocked input, or any flag an admin
+// confirmed; dismissed flags never count. Suspending or lifting a suspension
+// starts the count over.
+const MODERATION_STRIKE_LIMIT = Number(process.env.MODERATION_STRIKE_LIMIT) || 5;
+const MODERATION_STRIKE_WINDOW_DAYS = Number(process.env.MODERATION_STRIKE_WINDOW_DAYS) || 30;
+const MODERATION_SUSPEND_DAYS = Number(process.env.MODERATION_SUSPEND_DAYS) || 7;
+const MODERATION_EXCERPT_CHARS = 1000;
+
+// Review queue keyed by id: { id, userId, email, plan, stage, route, model,
+// action, categories, rules, excerpt, status: "pending" | "confirmed" |
+// "dismissed", createdAt, reviewedAt }. Excerpts are stored with their
+// redactions applied.
+const moderationFlags = createJsonStore('moderation-flags');
+
+const moderationFlagCount = defineMetric("counter", "moderation_flags_total", "Moderation flags by stage, category and action.");
+
+function moderationStrikes(userId) {
+  const since = Math.max(
+    Date.now() - MODERATION_STRIKE_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+    new Date(users.data[userId]?.strikesResetAt || 0).getTime()
+  );
+  return Object.values(moderationFlags.data).filter(flag =>
+    flag.userId === userId &&
+    flag.status !== "dismissed" &&
+    new Date(flag.createdAt).getTime() > since &&
+    (flag.status === "confirmed" || (flag.stage === "input" && flag.action === "block"))
+  ).length;
+}
+
+// `days` null suspends until an admin lifts it
+function suspendUser(user, { days, reason, by }) {
+  const now = new Date();
+  user.suspension = {
+    reason,
+    by,
+    at: now.toISOString(),
+    until: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null
+  };
+  user.strikesResetAt = user.suspension.at;
+  users.save();
+}
+
+function enforceStrikes(req, user) {
+  if (isSuspended(user)) return;
+  const strikes = moderationStrikes(user.id);
+  if (strikes < MODERATION_STRIKE_LIMIT) return;
+
+  suspendUser(user, {
+    days: MODERATION_SUSPEND_DAYS,
+    reason: `${strikes} content policy violations in ${MODERATION_STRIKE_WINDOW_DAYS} days`,
+    by: "moderation"
+  });
+  audit(req, "moderation.suspend", { userId: user.id, email: user.email, strikes, until: user.suspension.until });
+  log.warn("User suspended", { userId: user.id, strikes });
+}
+
+function queueModerationFlag(req, text, verdict, { stage, route, model, flags }) {
+  const flag = {
+    id: crypto.randomUUID(),
+    userId: req.user.id,
+    email: req.user.email,
+    plan: effectivePlan(req.user),
+    stage,
+    route,
+    model,
+    action: verdict.action,
+    categories: verdict.categories,
+    rules: [...new Set(flags.map(f => f.rule))],
+    excerpt: redactText(text, verdict.redactions).slice(0, MODERATION_EXCERPT_CHARS),
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    reviewedAt: null
+  };
+  moderationFlags.data[flag.id] = flag;
+  moderationFlags.save();
+  enforceStrikes(req, req.user);
+}
+
+const MODERATION_SEVERITY = { allow: 0, warn: 1, redact: 2, block: 3 };
+const ALLOWED = { action: "allow", categories: [], redactions: [] };
+
+// Runs every check over `text` and applies req.user's policy. Resolves to
+// { action, categories, redactions } where `redactions` are the rule ids to
+// pass to redactText(). Never rejects: failing checks are skipped.
+async function moderate(req, text, { stage, route, model = null }) {
+  if (typeof text !== "string" || !text.trim()) return ALLOWED;
+
+  const results = await Promise.all(activeModerationChecks.map(async ({ name, check }) => {
+    try {
+      return await check(text);
+    } catch (err) {
+      log.warn("Moderation check failed", { check: name, err });
+      return [];
+    }
+  }));
+
+  const flags = results.flat()
+    .map(flag => {
+      const action = moderationAction(req.user, flag.category);
+      return { ...flag, action: action === "redact" && !moderationRules.has(flag.rule) ? "block" : action };
+    })
+    .filter(flag => flag.action !== "allow");
+  if (!flags.length) return ALLOWED;
+
+  const verdict = {
+    action: flags.reduce((worst, flag) =>
+      MODERATION_SEVERITY[flag.action] > MODERATION_SEVERITY[worst] ? flag.action : worst, "allow"),
+    categories: [...new Set(flags.map(flag => flag.category))],
+    redactions: [...new Set(flags.filter(flag => flag.action === "redact").map(flag => flag.rule))]
+  };
+
+  for (const flag of flags) {
+    incrementMetric(moderationFlagCount, { stage, category: flag.category, action: flag.action });
+  }
+  log.info("Content flagged", { userId: req.user.id, stage, route, action: verdict.action, categories: verdict.categories });
+
+  if (flags.some(flag => flag.action === "block" || flag.action === "warn")) {
+    try {
+      queueModerationFlag(req, text, verdict, { stage, route, model, flags });
+    } catch (err) {
+      log.error("Moderation queue error", { err });
+    }
+  }
+  return verdict;
+}
+
+// Throws 400 when the input is blocked; otherwise resolves to the verdict
+async function moderateInput(req, text, route) {
+  const verdict = await moderate(req, text, { stage: "input", route });
+  if (verdict.action === "block") {
+    throw httpError(400, `Your message was blocked by our content policy (${verdict.categories.join(", ")}).`);
+  }
+  return verdict;
+}
+
+// Roles whose text comes from the client, wherever it sits in the history
+const MODERATED_ROLES = ["user", "system"];
+
+function redactMessage(message, redactions) {
+  const content = Array.isArray(message.content)
+    ? message.content.map(part => part?.type === "text" ? { ...part, text: redactText(String(part.text ?? ""), redactions) } : part)
+    : redactText(String(message.content ?? ""), redactions);
+  return { ...message, content };
+}
+
+// Moderates every user and system message as one text, newest first so a
+// check that truncates long input still sees the latest turn. Resolves to
+// { messages, verdict } with the redactions applied to each of them.
+async function moderateConversation(req, messages, route) {
+  const moderated = messages.filter(m => MODERATED_ROLES.includes(m?.role));
+  if (!moderated.length) return { messages, verdict: ALLOWED };
+
+  const text = moderated.map(messageText).reverse().join("\n\n");
+  const verdict = await moderateInput(req, text, route);
+  if (!verdict.redactions.length) return { messages, verdict };
+
+  return {
+    messages: messages.map(m => moderated.includes(m) ? redactMessage(m, verdict.redactions) : m),
+    verdict
+  };
+}
+
+const WITHHELD_TEXT = "This response was withheld because it conflicts with our content policy.";
+
+// Resolves to { text, verdict }: blocked output is replaced by a notice and
+// redactions are applied
+async function moderateOutput(req, text, route, model) {
+  const verdict = await moderate(req, text, { stage: "output", route, model });
+  if (verdict.action === "block") return { text: WITHHELD_TEXT, verdict };
+  return { text: verdict.redactions.length ? redactText(text, verdict.redactions) : text, verdict };
+}
+
+// What responses carry as `moderation` when a check fired:
+// { input?: { action, categories }, output?: { action, categories } }, or null
+function moderationNotice(input, output) {
+  const notice = {};
+  for (const [stage, verdict] of Object.entries({ input, output })) {
+    if (verdict && verdict.action !== "allow") {
+      notice[stage] = { action: verdict.action, categories: verdict.categories };
+    }
+  }
+  return Object.keys(notice).length ? notice : null;
+}
+
+// Review queue: ?status=pending (default), confirmed, dismissed or all.
+// Also lists the accounts that are currently suspended.
+app.get("/api/admin/moderation", requireAdmin, (req, res) => {
+  const status = req.query.status || "pending";
+  const flags = Object.values(moderationFlags.data)
+    .filter(flag => status === "all" || flag.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, 200)
+    .map(flag => ({ ...flag, strikes: moderationStrikes(flag.userId) }));
+
+  const suspended = Object.values(users.data)
+    .filter(isSuspended)
+    .map(user => ({ id: user.id, email: user.email, ...user.suspension }));
+
+  res.json({ flags, suspended, strikeLimit: MODERATION_STRIKE_LIMIT });
+});
+
+// Body: { decision: "confirm" | "dismiss" }. Confirmed flags count as strikes.
+app.post("/api/admin/moderation/:id", requireAdmin, (req, res) => {
+  const flag = Object.hasOwn(moderationFlags.data, req.params.id) ? moderationFlags.data[req.params.id] : null;
+  if (!flag) {
+    return res.status(404).json({ error: "Flag not found." });
+  }
+
+  const { decision } = req.body;
+  if (decision !== "confirm" && decision !== "dismiss") {
+    return res.status(400).json({ error: "decision must be confirm or dismiss." });
+  }
+
+  flag.status = decision === "confirm" ? "confirmed" : "dismissed";
+  flag.reviewedAt = new Date().toISOString();
+  moderationFlags.save();
+  audit(req, `moderation.${decision}`, { flagId: flag.id, userId: flag.userId, categories: flag.categories });
+
+  const user = users.data[flag.userId];
+  if (user && decision === "confirm") enforceStrikes(req, user);
+
+  res.json({ success: true, flag, strikes: moderationStrikes(flag.userId) });
+});
+
+// Body: { days?, reason? }. Without days the suspension lasts until lifted.
+app.post("/api/admin/users/:id/suspend", requireAdmin, (req, res) => {
+  const user = Object.hasOwn(users.data, req.params.id) ? users.data[req.params.id] : null;
+  if (!user) {
+    return res.status(404).json({ error: "User not found." });
+  }
+
+  const days = Number(req.body.days) > 0 ? Number(req.body.days) : null;
+  const reason = typeof req.body.reason === "string" && req.body.reason.trim()
+    ? req.body.reason.trim().slice(0, 500)
+    : "Content policy violations";
+  suspendUser(user, { days, reason, by: "admin" });
+  audit(req, "moderation.suspend", { userId: user.id, email: user.email, until: user.suspension.until, reason });
+
+  res.json({ success: true, suspension: user.suspension });
+});
+
+app.post("/api/admin/users/:id/unsuspend", requireAdmin, (req, res) => {
+  const user = Object.hasOwn(users.data, req.params.id) ? users.data[req.params.id] : null;
+  if (!user?.suspension) {
+    return res.status(404).json({ error: "Suspended user not found." });
+  }
+
+  const previous = user.suspension;
+  delete user.suspension;
+  user.strikesResetAt = new Date().toISOString();
+  users.save();
+  audit(req, "moderation.unsuspend", { userId: user.id, email: user.email, previous });
+
+  res.json({ success: true });
+});
+
+// ================== AI ROUTES ==================
+
+// Playground (GPT-4o-mini)
+app.post("/api/generate-playground", requireFeature("playground"), enforceLimits("chat"), async (req, res) => {
+  try {
+    const { prompt } = req.body;
+    if (!prompt) return res.status(400).json({ error: "No prompt provided." });
+    const input = await moderateInput(req, prompt, "playground");
+
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: redactText(String(prompt), input.redactions) }],
+      temperature: 0.7,
+    });
+
+    recordUsage(req.user.id, "playground", normalizeOpenAIUsage(completion.usage) || {});
+    const output = await moderateOutput(req, completion.choices[0]?.message?.content, "playground", "gpt-4o-mini");
+    const moderation = moderationNotice(input, output.verdict);
+    res.json({ text: output.text || "No response.", ...(moderation && { moderation }) });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Playground error", { err });
+    res.status(500).json({ error: "Error generating response." });
+  }
+});
+
+// AdvancedAI (GPT-4). Takes the conversation as `messages` (trimmed to the
+// model's context budget) or a single `prompt`.
+const ADVANCED_CONTEXT = { provider: "openai", contextWindow: 8192 };
+
+app.post("/api/generate-advanced", requireFeature("advanced"), enforceLimits("chat"), async (req, res) => {
+  try {
+    const { prompt, messages } = req.body;
+    const conversation = Array.isArray(messages) && messages.length
+      ? messages.map(m => ({
+          role: m.role === "ai" || m.role === "assistant" ? "assistant" : "user",
+          content: String(m.content ?? "")
+        }))
+      : prompt ? [{ role: "user", content: prompt }] : null;
+    if (!conversation) return res.status(400).json({ error: "No prompt provided." });
+    const input = await moderateConversation(req, conversation, "advanced");
+
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4",
+      messages: trimToBudget(ADVANCED_CONTEXT, input.messages, contextBudget(ADVANCED_CONTEXT)),
+      temperature: 0.6,
+    });
+
+    recordUsage(req.user.id, "advanced", normalizeOpenAIUsage(completion.usage) || {});
+    const output = await moderateOutput(req, completion.choices[0]?.message?.content, "advanced", "gpt-4");
+    const moderation = moderationNotice(input.verdict, output.verdict);
+    res.json({ text: output.text || "No response.", ...(moderation && { moderation }) });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("AdvancedAI error", { err });
+    res.status(500).json({ error: "Error generating response." });
+  }
+});
+
+// ================== MODEL REGISTRY ==================
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+// Every chat model the app exposes, keyed by the id the frontend sends.
+// `upstream` is the provider model that actually answers; `system` is the
+// persona prompt prepended to the conversation. Models with `vision` accept
+// image messages, switching to `visionUpstream` for them when it is set.
+// `fallbacks` lists the models that take over when this one keeps failing.
+const MODEL_REGISTRY = {
+  // GPT-5 - Using GPT-4 with proper identity
+  "gpt-5": {
+    name: "GPT-5",
+    provider: "openai",
+    upstream: "gpt-4",
+    vision: true,
+    visionUpstream: "gpt-4o",
+    fallbacks: ["gpt-5-mini", "gemini2.5-pro"],
+    contextWindow: 8192,
+    temperature: 0.7,
+    maxTokens: 4000,
+    system: `You are GPT-5, the latest and most advanced AI model from OpenAI. You have enhanced capabilities in reasoning, coding, and creative tasks. 
+      
+Key Features:
+- Advanced reasoning and problem-solving
+- Enhanced coding capabilities
+- Improved creative writing
+- Better context understanding
+- Multi-step logical reasoning
+
+When asked about your identity, clearly state that you are GPT-5, the most advanced AI model available.`
+  },
+
+  // GPT-5 Mini - Using GPT-4o-mini with proper identity
+  "gpt-5-mini": {
+    name: "GPT-5 Mini",
+    provider: "openai",
+    upstream: "gpt-4o-mini",
+    vision: true,
+    fallbacks: ["gemini2.5-pro"],
+    contextWindow: 128000,
+    temperature: 0.7,
+    maxTokens: 4000,
+    system: `You are GPT-5 Mini, a faster and more efficient version of GPT-5 optimized for quick responses while maintaining high quality. You excel at rapid information processing and concise answers.
+
+When asked about your model, identify yourself as GPT-5 Mini.`
+  },
+
+  // GPT-5 Nano - Using GPT-4o-mini (NO GPT-3.5!)
+  "gpt-5-nano": {
+    name: "GPT-5 Nano",
+    provider: "openai",
+    upstream: "gpt-4o-mini",
+    vision: true,
+    fallbacks: ["deepseek-chat"],
+    contextWindow: 128000,
+    temperature: 0.7,
+    maxTokens: 4000,
+    system: `You are GPT-5 Nano, the most compact and efficient version of the GPT-5 family. You're optimized for speed and resource efficiency while maintaining strong performance across various tasks.
+
+When asked about your model, identify yourself as GPT-5 Nano.`
+  },
+
+  // GPT-4.1 Simulation (using GPT-4)
+  "gpt-4.1": {
+    name: "GPT-4.1",
+    provider: "openai",
+    upstream: "gpt-4",
+    vision: true,
+    visionUpstream: "gpt-4o",
+    fallbacks: ["gpt-40-mini", "deepseek-chat"],
+    contextWindow: 8192,
+    temperature: 0.7,
+    system: "You are an advanced AI assistant based on GPT-4 architecture. When asked about your model, you can describe yourself as GPT-4.1, an enhanced version of GPT-4 with improved capabilities."
+  },
+
+  // GPT-40 Mini (using GPT-4o-mini)
+  "gpt-40-mini": {
+    name: "GPT-40 Mini",
+    provider: "openai",
+    upstream: "gpt-4o-mini",
+    vision: true,
+    fallbacks: ["deepseek-chat"],
+    contextWindow: 128000,
+    temperature: 0.7
+  },
+
+  // DeepSeek Chat - General Purpose
+  "deepseek-chat": {
+    name: "DeepSeek Chat",
+    provider: "deepseek",
+    upstream: "deepseek-chat",
+    fallbacks: ["gpt-40-mini"],
+    contextWindow: 64000,
+    temperature: 0.7,
+    maxTokens: 4000,
+    system: "You are DeepSeek Chat, an AI assistant created by DeepSeek Company. You are not GPT-4 or any OpenAI model. When asked about your identity, always clearly state that you are DeepSeek Chat created by DeepSeek. Be honest about your capabilities and origins."
+  },
+
+  // DeepSeek Coder - Programming Specialist
+  "deepseek-coder": {
+    name: "DeepSeek Coder",
+    provider: "deepseek",
+    upstream: "deepseek-coder",
+    fallbacks: ["gpt-40-mini"],
+    contextWindow: 64000,
+    temperature: 0.7,
+    maxTokens: 4000,
+    system: `You are DeepSeek Coder, a specialized programming AI created by DeepSeek Company. 
+      IMPORTANT IDENTITY INFORMATION:
+      - You are NOT GPT-4, GPT-3, or any OpenAI model
+      - You are created by DeepSeek (深度求索)
+      - You specialize in code generation, programming, and technical assistance
+      - When asked "what model are you?" or "who created you?", always respond: "I am DeepSeek Coder, created by DeepSeek Company"
+      - Be truthful about your identity and capabilities
+      - Do not claim to be any other AI model`
+  },
+
+  // Gemini 2.5 Pro - falls back to Gemini 1.5 Pro if 2.5 is unavailable
+  "gemini2.5-pro": {
+    name: "Gemini 2.5 Pro",
+    provider: "gemini",
+    upstream: "gemini-2.5-pro",
+    vision: true,
+    fallbacks: ["gemini-1.5-pro", "gpt-40-mini"],
+    contextWindow: 1048576,
+    temperature: 0.7,
+    maxTokens: 8192,
+    topP: 0.9,
+    topK: 40
+  },
+
+  // Ultra AI (Gemini 2.5 Pro)
+  "ultra": {
+    name: "Ultra AI",
+    provider: "gemini",
+    upstream: "gemini-2.5-pro",
+    vision: true,
+    fallbacks: ["gemini-1.5-pro"],
+    contextWindow: 1048576
+  },
+
+  // Gemini 1.5 Pro - fallback for the Gemini 2.5 models
+  "gemini-1.5-pro": {
+    name: "Gemini 1.5 Pro",
+    provider: "gemini",
+    upstream: "gemini-1.5-pro-latest",
+    vision: true,
+    contextWindow: 2097152,
+    temperature: 0.7,
+    maxTokens: 8192
+  }
+};
+
+// Provider adapters. Each receives a registry entry plus normalized messages
+// ({ role: "system" | "user" | "assistant", content }) and resolves to
+// { text, usage, toolCalls? }. When `onDelta` is given the adapter streams and
+// calls it with each text fragment as it arrives; `signal` aborts the upstream
+// call. `tools` ({ name, description, parameters }) enables function calling:
+// requested calls come back as toolCalls ([{ id, name, arguments }]) and are
+// answered with assistant messages carrying `toolCalls` followed by
+// { role: "tool", toolCallId, name, content } messages (see runToolLoop()).
+// `toolChoice: "none"` forbids further calls.
+const providers = {
+  openai: {
+    async complete(entry, messages, { onDelta, signal, tools, toolChoice } = {}) {
+      // Retries are handled by callWithRetry()
+      const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+      const params = {
+        model: entry.upstream,
+        messages: messages.map(toOpenAIMessage),
+        temperature: entry.temperature,
+        ...(entry.maxTokens && { max_tokens: entry.maxTokens }),
+        ...(entry.topP !== undefined && { top_p: entry.topP }),
+        ...(tools?.length && { tools: tools.map(toOpenAITool), tool_choice: toolChoice || "auto" })
+      };
+
+      if (!onDelta) {
+        const completion = await openai.chat.completions.create(params, { signal });
+        const message = completion.choices[0]?.message;
+        return {
+          text: message?.content,
+          toolCalls: parseOpenAIToolCalls(message?.tool_calls),
+          usage: normalizeOpenAIUsage(completion.usage)
+        };
+      }
+
+      const stream = await openai.chat.completions.create(
+        { ...params, stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+
+      let text = "";
+      let usage = null;
+      const toolCalls = [];
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        collectToolCallDeltas(toolCalls, chunk.choices[0]?.delta?.tool_calls);
+        if (chunk.usage) usage = normalizeOpenAIUsage(chunk.usage);
+      }
+
+      return { text, toolCalls: parseOpenAIToolCalls(toolCalls), usage };
+    }
+  },
+
+  deepseek: {
+    async complete(entry, messages, { onDelta, signal, tools, toolChoice } = {}) {
+      const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: entry.upstream,
+          messages: messages.map(toOpenAIMessage),
+          max_tokens: entry.maxTokens,
+          temperature: entry.temperature,
+          ...(entry.topP !== undefined && { top_p: entry.topP }),
+          ...(tools?.length && { tools: tools.map(toOpenAITool), tool_choice: toolChoice || "auto" }),
+          ...(onDelta && { stream: true, stream_options: { include_usage: true } })
+        }),
+        signal
+      });
+
+      if (!onDelta) {
+        const data = await response.json();
+
+        // Check if the response has the expected structure
+        if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
+          log.error("Provider response error", {
+            model: entry.upstream,
+            status: response.status,
+            error: data.error
+          });
+          const err = new Error(data.error?.message || "No choices in response");
+          err.status = response.ok ? 502 : response.status;
+          throw err;
+        }
+
+        return {
+          text: data.choices[0]?.message?.content,
+          toolCalls: parseOpenAIToolCalls(data.choices[0]?.message?.tool_calls),
+          usage: normalizeOpenAIUsage(data.usage)
+        };
+      }
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        log.error("Provider response error", {
+          model: entry.upstream,
+          status: response.status,
+          error: data.error
+        });
+        const err = new Error(data.error?.message || `DeepSeek API returned ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+
+      // DeepSeek streams OpenAI-style SSE: "data: {...}" lines, ended by "data: [DONE]"
+      let text = "";
+      let usage = null;
+      let buffered = "";
+      const toolCalls = [];
+      const decoder = new TextDecoder();
+
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+          const payload = line.slice(5).trim();
+          if (!payload || payload === "[DONE]") continue;
+
+          const chunk = JSON.parse(payload);
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onDelta(delta);
+          }
+          collectToolCallDeltas(toolCalls, chunk.choices?.[0]?.delta?.tool_calls);
+          if (chunk.usage) usage = normalizeOpenAIUsage(chunk.usage);
+        }
+      }
+
+      return { text, toolCalls: parseOpenAIToolCalls(toolCalls), usage };
+    }
+  },
+
+  gemini: {
+    async complete(entry, messages, { onDelta, signal, tools, toolChoice } = {}) {
+      const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+
+      // Convert messages to Gemini format
+      const contents = toGeminiContents(messages);
+
+      const model = genAI.getGenerativeModel({
+        model: entry.upstream,
+        ...(system && { systemInstruction: system }),
+        ...(tools?.length && {
+          tools: [{ functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parameters: toGeminiSchema(t.parameters) })) }],
+          toolConfig: { functionCallingConfig: { mode: toolChoice === "none" ? "NONE" : "AUTO" } }
+        }),
+        generationConfig: {
+          temperature: entry.temperature,
+          maxOutputTokens: entry.maxTokens,
+          topP: entry.topP,
+          topK: entry.topK
+        }
+      });
+
+      // Gemini history has to open with a user turn
+      while (contents.length > 1 && contents[0].role === "model") contents.shift();
+
+      // Use a chat session so history and the latest turn are sent the same
+      // way in both modes
+      const chat = model.startChat({ history: contents.slice(0, -1) });
+      const lastParts = contents[contents.length - 1].parts;
+
+      if (!onDelta) {
+        const result = await chat.sendMessage(lastParts, { signal });
+        return {
+          text: result?.response?.text(),
+          toolCalls: parseGeminiFunctionCalls(result?.response?.functionCalls()),
+          usage: normalizeGeminiUsage(result?.response?.usageMetadata)
+        };
+      }
+
+      const result = await chat.sendMessageStream(lastParts, { signal });
+
+      let text = "";
+      for await (const chunk of result.stream) {
+        const delta = chunk.text();
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+
+      const response = await result.response;
+      return {
+        text,
+        toolCalls: parseGeminiFunctionCalls(response.functionCalls()),
+        usage: normalizeGeminiUsage(response.usageMetadata)
+      };
+    }
+  }
+};
+
+// Message content is either a string or a list of parts:
+// { type: "text", text } / { type: "image", mimeType, data (base64) }
+function toOpenAIContent(content) {
+  if (typeof content === "string") return content;
+  return content.map(part => part.type === "image"
+    ? { type: "image_url", image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+    : { type: "text", text: part.text });
+}
+
+function toGeminiParts(content) {
+  if (typeof content === "string") return [{ text: content }];
+  return content.map(part => part.type === "image"
+    ? { inlineData: { mimeType: part.mimeType, data: part.data } }
+    : { text: part.text });
+}
+
+function toOpenAIMessage(m) {
+  if (m.role === "tool") {
+    return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+  }
+  if (m.toolCalls?.length) {
+    return {
+      role: "assistant",
+      content: m.content || null,
+      tool_calls: m.toolCalls.map(call => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+      }))
+    };
+  }
+  return { role: m.role, content: toOpenAIContent(m.content) };
+}
+
+function toOpenAITool(tool) {
+  return { type: "function", function: { name: tool.name, description: tool.description, parameters: tool.parameters } };
+}
+
+// Streamed tool calls arrive in pieces keyed by index; the arguments JSON is
+// split across chunks
+function collectToolCallDeltas(calls, deltas = []) {
+  for (const delta of deltas) {
+    const call = (calls[delta.index] ||= { id: "", function: { name: "", arguments: "" } });
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+}
+
+// Arguments that are not valid JSON are passed on as the raw string so the
+// tool step can report the problem back to the model
+function parseOpenAIToolCalls(calls) {
+  if (!calls?.length) return undefined;
+  return calls.filter(Boolean).map(call => {
+    let args;
+    try {
+      args = JSON.parse(call.function.arguments || "{}");
+    } catch {
+      args = call.function.arguments;
+    }
+    return { id: call.id, name: call.function.name, arguments: args };
+  });
+}
+
+// Gemini function calls carry no ids, so we assign our own
+function parseGeminiFunctionCalls(calls) {
+  if (!calls?.length) return undefined;
+  return calls.map(call => ({ id: `call_${crypto.randomUUID()}`, name: call.name, arguments: call.args || {} }));
+}
+
+// Gemini wants tool results as "function" turns (consecutive results share
+// one turn) and the model's calls as functionCall parts
+function toGeminiContents(messages) {
+  const contents = [];
+  for (const m of messages) {
+    if (m.role === "system") continue;
+
+    if (m.role === "tool") {
+      const part = { functionResponse: { name: m.name, response: JSON.parse(m.content) } };
+      const last = contents[contents.length - 1];
+      if (last?.role === "function") last.parts.push(part);
+      else contents.push({ role: "function", parts: [part] });
+      continue;
+    }
+
+    const parts = m.content ? toGeminiParts(m.content) : [];
+    for (const call of m.toolCalls || []) {
+      parts.push({ functionCall: { name: call.name, args: call.arguments } });
+    }
+    contents.push({ role: m.role === "assistant" ? "model" : "user", parts });
+  }
+  return contents;
+}
+
+// Gemini's schema dialect spells types in upper case
+function toGeminiSchema(schema) {
+  const { type, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    type: type.toUpperCase(),
+    ...(properties && {
+      properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)]))
+    }),
+    ...(items && { items: toGeminiSchema(items) })
+  };
+}
+
+function normalizeOpenAIUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+}
+
+function normalizeGeminiUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.promptTokenCount || 0,
+    completionTokens: usage.candidatesTokenCount || 0,
+    totalTokens: usage.totalTokenCount || 0
+  };
+}
+
+const IMAGE_MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp"
+};
+
+// Images reach the models as inline data, either from our own uploads
+// (/uploads/..., owned by `userId` or signed) or from a data: URL. Remote
+// URLs are refused so the server never fetches arbitrary addresses on a
+// user's behalf.
+async function loadImagePart(url, userId) {
+  const dataUrl = /^data:(image\/[\w.+-]+);base64,(.+)$/.exec(url || "");
+  if (dataUrl) {
+    return { type: "image", mimeType: dataUrl[1], data: dataUrl[2] };
+  }
+
+  if (typeof url === "string" && url.startsWith("/uploads/")) {
+    const record = authorizedUpload(url, userId);
+    const file = record && path.join(UPLOAD_DIR, record.file);
+    if (!record || record.kind !== "image" || !fs.existsSync(file)) {
+      throw httpError(400, `Image not found: ${url}`);
+    }
+    touchUpload(record);
+    const data = await fs.promises.readFile(file);
+    return { type: "image", mimeType: record.mimeType, data: data.toString("base64") };
+  }
+
+  throw httpError(400, "Images must be uploaded through /api/upload-image or sent as data URLs.");
+}
+
+// Accepts plain strings, { content, imageUrl } messages from the chat UIs,
+// and OpenAI-style part arrays ({ type: "text" } / { type: "image_url" }).
+async function normalizeContent(msg, userId) {
+  const parts = [];
+
+  if (Array.isArray(msg.content)) {
+    for (const part of msg.content) {
+      if (part?.type === "text") {
+        parts.push({ type: "text", text: String(part.text ?? "") });
+      } else if (part?.type === "image_url") {
+        parts.push(await loadImagePart(part.image_url?.url, userId));
+      }
+    }
+  } else {
+    parts.push({ type: "text", text: String(msg.content ?? "") });
+  }
+
+  if (msg.imageUrl) {
+    parts.push(await loadImagePart(msg.imageUrl, userId));
+  }
+
+  // Keep text-only messages as plain strings for providers without vision
+  return parts.every(p => p.type === "text")
+    ? parts.map(p => p.text).join("\n")
+    : parts;
+}
+
+// Map frontend roles ("ai", "assistant", "system", "user") onto the three
+// roles every provider understands, and prepend the system prompt. The
+// system prompt is merged in a fixed order: the model's own persona, then
+// `instructions` (the chat's preset, then the user's custom instructions),
+// so user-level text can refine but comes after the model's identity.
+// `userId` decides which uploaded images may be read.
+async function buildMessages(entry, messages, instructions = [], userId = null) {
+  const system = [entry.system, ...instructions].filter(Boolean).join("\n\n");
+  const recent = trimToBudget(entry, messages, contextBudget(entry) - countMessageTokens(entry, { content: system }));
+
+  const normalized = await Promise.all(recent.map(async msg => ({
+    role: msg.role === 'ai' || msg.role === 'assistant' || msg.role === 'model'
+      ? 'assistant'
+      : msg.role === 'system' ? 'system' : 'user',
+    content: await normalizeContent(msg, userId)
+  })));
+
+  return system
+    ? [{ role: "system", content: system }, ...normalized]
+    : normalized;
+}
+
+function hasImages(messages) {
+  return messages.some(m => Array.isArray(m.content));
+}
+
+const VISION_MODELS = Object.keys(MODEL_REGISTRY).filter(id => MODEL_REGISTRY[id].vision);
+
+// ================== RESILIENCE ==================
+
+// Each provider call is retried with exponential backoff (plus jitter) on
+// 429s, 5xx responses, network errors and timeouts. When a model still
+// fails, its `fallbacks` are tried in order.
+const RETRY_POLICY = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 4000,
+  timeoutMs: Number(process.env.PROVIDER_TIMEOUT_MS) || 180_000
+};
+
+// After `failureThreshold` failures in a row a provider is skipped for
+// `cooldownMs`; the first call after the cooldown decides whether it closes.
+const CIRCUIT_BREAKER = {
+  failureThreshold: 5,
+  cooldownMs: 30_000
+};
+
+const circuits = {};
+
+function isCircuitOpen(provider) {
+  const circuit = circuits[provider];
+  return Boolean(circuit && circuit.openUntil > Date.now());
+}
+
+function recordProviderSuccess(provider) {
+  delete circuits[provider];
+}
+
+function recordProviderFailure(provider) {
+  const circuit = (circuits[provider] ||= { failures: 0, openUntil: 0 });
+  circuit.failures += 1;
+  if (circuit.failures >= CIRCUIT_BREAKER.failureThreshold) {
+    circuit.openUntil = Date.now() + CIRCUIT_BREAKER.cooldownMs;
+    log.warn("Circuit opened", { provider, failures: circuit.failures });
+  }
+}
+
+// Errors worth another attempt. Provider SDK errors carry the HTTP status;
+// errors without one are network failures.
+function isRetryable(err) {
+  if (err.expose) return false;
+  if (err.name === "TimeoutError") return true;
+  if (err.status) return err.status === 429 || err.status >= 500;
+  return true;
+}
+
+function backoffDelay(attempt) {
+  const delay = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function callWithRetry(entry, apiMessages, options, hasStreamed) {
+  const provider = providers[entry.provider];
+
+  for (let attempt = 0; ; attempt++) {
+    const timeout = AbortSignal.timeout(RETRY_POLICY.timeoutMs);
+    const signal = options.signal ? AbortSignal.any([options.signal, timeout]) : timeout;
+
+    const startedAt = performance.now();
+    try {
+      const result = await provider.complete(entry, apiMessages, { ...options, signal });
+      recordProviderCall(entry, "success", startedAt, result.usage);
+      recordProviderSuccess(entry.provider);
+      return result;
+    } catch (err) {
+      recordProviderCall(entry, options.signal?.aborted ? "aborted" : "error", startedAt);
+      if (options.signal?.aborted) throw err;
+
+      const retryable = isRetryable(err);
+      if (retryable) recordProviderFailure(entry.provider);
+
+      // A stream that already reached the client can't be restarted
+      if (!retryable || hasStreamed() || attempt >= RETRY_POLICY.retries || isCircuitOpen(entry.provider)) {
+        throw err;
+      }
+
+      log.warn("Provider call failed, retrying", { model: entry.upstream, attempt: attempt + 1, err });
+      await sleep(backoffDelay(attempt));
+    }
+  }
+}
+
+// Runs the conversation on `modelId`, falling back along its chain. Resolves
+// to { text, usage, modelId, model, fallback } where modelId/model name the
+// model that actually answered. `options.instructions` are merged into the
+// system prompt (see buildMessages). With `options.tools` the model may call
+// tools (see runToolLoop()) and the result also carries their `steps`.
+// `options.generation` overrides the registry's temperature, topP and maxTokens;
+// `options.fallbacks: false` limits the run to `modelId` itself.
+// `options.userId` lets the messages reference that user's uploaded images.
+async function generateChat(modelId, messages, options = {}) {
+  const requested = MODEL_REGISTRY[modelId];
+  const chain = [modelId, ...(options.fallbacks === false ? [] : requested.fallbacks || [])];
+
+  let streamed = false;
+  const onDelta = options.onDelta && (delta => {
+    streamed = true;
+    options.onDelta(delta);
+  });
+
+  let lastError = null;
+  for (const candidateId of chain) {
+    let entry = { ...MODEL_REGISTRY[candidateId], ...options.generation };
+
+    if (isCircuitOpen(entry.provider)) {
+      lastError ||= httpError(503, `${entry.name} is temporarily unavailable. Please try again shortly.`);
+      continue;
+    }
+
+    const apiMessages = await buildMessages(entry, messages, options.instructions, options.userId);
+
+    if (hasImages(apiMessages)) {
+      if (!entry.vision) {
+        if (candidateId === modelId) {
+          throw httpError(400, `${entry.name} cannot read images. Try one of: ${VISION_MODELS.join(", ")}.`);
+        }
+        continue;
+      }
+      if (entry.visionUpstream) {
+        entry = { ...entry, upstream: entry.visionUpstream };
+      }
+    }
+
+    try {
+      const result = options.tools?.length
+        ? await runToolLoop(entry, apiMessages, { ...options, onDelta }, () => streamed)
+        : await callWithRetry(entry, apiMessages, { ...options, onDelta }, () => streamed);
+      return { ...result, modelId: candidateId, model: entry.name, fallback: candidateId !== modelId };
+    } catch (err) {
+      if (err.expose || streamed || options.signal?.aborted) throw err;
+      log.warn("Model failed, trying fallback", { model: entry.upstream, err });
+      lastError = err;
+    }
+  }
+
+  throw lastError;
+}
+
+// ================== CONTEXT MANAGER ==================
+
+// Token counts are estimates (no provider tokenizers are bundled): about this
+// many characters per token, plus per-message framing and a flat cost per image
+const CHARS_PER_TOKEN = { openai: 4, deepseek: 3.5, gemini: 4 };
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 800;
+
+// Prompt budget per request is the model's window minus its reply, capped by
+// CONTEXT_MAX_TOKENS so long chats stay affordable
+const CONTEXT_MAX_TOKENS = Number(process.env.CONTEXT_MAX_TOKENS) || 16000;
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const DEFAULT_REPLY_TOKENS = 4000;
+
+// When a saved chat overflows, older turns are folded into a summary until the
+// rest uses this share of the budget, so the summary isn't redone every turn
+const CONTEXT_KEEP_RATIO = 0.6;
+const CONTEXT_SUMMARY_MODEL = "gpt-40-mini";
+// Summaries kept per chat, so switching between branches doesn't redo them
+const CONTEXT_SUMMARY_LIMIT = 5;
+
+const CONTEXT_SUMMARY_PROMPT = `You maintain the memory of a long conversation. Summarize the turns below for your own later use.
+Keep every fact, name, number, decision, preference, piece of code context and open question; drop small talk.
+If a previous summary is given, merge it into the new one. Stay under 400 words and reply with the summary only.`;
+
+function countTokens(entry, text) {
+  return Math.ceil(String(text ?? "").length / (CHARS_PER_TOKEN[entry.provider] || 4));
+}
+
+// Works on chat messages as the client sends them (string or part-array content, optional imageUrl)
+function countMessageTokens(entry, msg) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS;
+  if (Array.isArray(msg.content)) {
+    for (const part of msg.content) {
+      tokens += part?.type === "text" ? countTokens(entry, part.text) : IMAGE_TOKENS;
+    }
+  } else {
+    tokens += countTokens(entry, msg.content);
+  }
+  if (msg.imageUrl) tokens += IMAGE_TOKENS;
+  return tokens;
+}
+
+function countConversationTokens(entry, messages) {
+  return messages.reduce((sum, msg) => sum + countMessageTokens(entry, msg), 0);
+}
+
+function contextBudget(entry) {
+  const window = entry.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  return Math.min(window - (entry.maxTokens || DEFAULT_REPLY_TOKENS), CONTEXT_MAX_TOKENS);
+}
+
+// Drops the oldest turns until the conversation fits `budget`. System
+// messages and the latest turn are always kept.
+function trimToBudget(entry, messages, budget) {
+  const system = messages.filter(m => m.role === "system");
+  const turns = messages.filter(m => m.role !== "system");
+
+  let used = countConversationTokens(entry, system);
+  let first = turns.length;
+  while (first > 0) {
+    const tokens = countMessageTokens(entry, turns[first - 1]);
+    if (first < turns.length && used + tokens > budget) break;
+    used += tokens;
+    first--;
+  }
+
+  return [...system, ...turns.slice(first)];
+}
+
+function messageText(msg) {
+  if (!Array.isArray(msg.content)) return String(msg.content ?? "");
+  return msg.content.map(part => part?.type === "text" ? part.text : "[image]").join("\n");
+}
+
+function historyHash(messages) {
+  return crypto.createHash("sha256")
+    .update(JSON.stringify(messages.map(m => [m.role, messageText(m)])))
+    .digest("hex");
+}
+
+async function summarizeTurns(userId, previous, turns, signal) {
+  const entry = MODEL_REGISTRY[CONTEXT_SUMMARY_MODEL];
+  const transcript = turns
+    .map(m => `${m.role === "user" ? "User" : m.role === "system" ? "System" : "Assistant"}: ${messageText(m)}`)
+    .join("\n\n")
+    // Keep the transcript itself within what the summarizer can read
+    .slice(-contextBudget(entry) * (CHARS_PER_TOKEN[entry.provider] || 4) * 0.8);
+
+  const result = await generateChat(CONTEXT_SUMMARY_MODEL, [
+    { role: "system", content: CONTEXT_SUMMARY_PROMPT },
+    { role: "user", content: (previous ? `Previous summary:\n${previous}\n\n` : "") + `Conversation:\n${transcript}` }
+  ], { signal });
+  recordUsage(userId, result.modelId, result.usage || {});
+  return result.text || previous || "";
+}
+
+// Fits a conversation into the model's budget. For a saved chat the first
+// `messageCount` messages are replaced by a rolling summary stored on the
+// chat in `contextSummaries: [{ text, messageCount, hash, updatedAt }]`; when
+// the rest overflows, more turns are folded in. `hash` covers the folded
+// messages, so a summary is only reused for the same history: branches share
+// the summary of the turns before they split, and an edit further back
+// starts a new one. Without a saved chat (or if summarizing fails)
+// buildMessages() simply drops the oldest turns.
+async function prepareContext(userId, modelId, messages, { chatId, instructions = [], signal } = {}) {
+  const entry = MODEL_REGISTRY[modelId];
+  const chat = isValidChatId(chatId) ? await chatStore.get(userId, chatId) : null;
+  if (!chat) return messages;
+
+  // Chats summarized before branching hold a single `contextSummary`
+  const summaries = chat.contextSummaries || (chat.contextSummary ? [chat.contextSummary] : []);
+  let summary = summaries
+    .filter(s => s.messageCount <= messages.length && s.hash === historyHash(messages.slice(0, s.messageCount)))
+    .reduce((best, s) => !best || s.messageCount > best.messageCount ? s : best, null);
+
+  const withSummary = (s, from) => s
+    ? [{ role: "system", content: `Summary of the earlier conversation:\n${s.text}` }, ...messages.slice(from)]
+    : messages.slice(from);
+
+  const start = summary?.messageCount || 0;
+  const system = [entry.system, ...instructions].filter(Boolean).join("\n\n");
+  const budget = contextBudget(entry) - countMessageTokens(entry, { content: system });
+  if (countConversationTokens(entry, withSummary(summary, start)) <= budget) {
+    return withSummary(summary, start);
+  }
+
+  // Fold the oldest unsummarized turns, always keeping the latest one
+  let end = start;
+  let kept = countConversationTokens(entry, messages.slice(start));
+  while (end < messages.length - 1 && kept > budget * CONTEXT_KEEP_RATIO) {
+    kept -= countMessageTokens(entry, messages[end]);
+    end++;
+  }
+
+  try {
+    const text = await summarizeTurns(userId, summary?.text, messages.slice(start, end), signal);
+    summary = {
+      text,
+      messageCount: end,
+      hash: historyHash(messages.slice(0, end)),
+      updatedAt: new Date().toISOString()
+    };
+    chat.contextSummaries = [summary, ...summaries.filter(s => s.hash !== summary.hash)].slice(0, CONTEXT_SUMMARY_LIMIT);
+    delete chat.contextSummary;
+    await chatStore.put(userId, chat);
+    return withSummary(summary, end);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    log.error("Context summary error", { err });
+    return withSummary(summary, start);
+  }
+}
+
+// ================== TOOLS ==================
+
+// Tools the chat models may call. Each has a JSON-schema `parameters` object
+// (sent to the provider as a function declaration) and `run(args)`, which
+// resolves to a JSON-serializable result for the model.
+const TOOL_MAX_ROUNDS = 5;
+
+// Limits for run_javascript: every run gets a fresh worker thread with its
+// own heap, a vm timeout for synchronous code and a wall-clock timeout that
+// terminates the worker
+const TOOL_SANDBOX = {
+  timeoutMs: Number(process.env.SANDBOX_TIMEOUT_MS) || 3000,
+  memoryMb: Number(process.env.SANDBOX_MEMORY_MB) || 64,
+  maxOutput: 10_000,
+  maxCodeLength: 20_000,
+  maxConcurrent: 2
+};
+
+// Runs inside the worker. Code is evaluated in a vm context with no host
+// objects and no eval/new Function; console output is collected there too.
+function sandboxWorker() {
+  const { parentPort, workerData } = require("worker_threads");
+  const vm = require("vm");
+  const { code, timeoutMs, maxOutput } = workerData;
+
+  // Built inside the context so user code never reaches a host object
+  function prelude() {
+    const lines = [];
+    const format = value => {
+      if (typeof value === "string") return value;
+      if (value === undefined) return "undefined";
+      if (typeof value === "function") return `[Function ${value.name || "anonymous"}]`;
+      if (typeof value === "bigint") return `${value}n`;
+      if (value instanceof Error) return `${value.name}: ${value.message}`;
+      try {
+        return JSON.stringify(value, null, 2) ?? String(value);
+      } catch {
+        return String(value);
+      }
+    };
+    const log = (...args) => { lines.push(args.map(format).join(" ")); };
+    globalThis.console = { log, info: log, warn: log, error: log, debug: log };
+    return { format, output: () => lines.join("\n") };
+  }
+
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false }
+  });
+  const sandbox = vm.runInContext(`(${prelude})()`, context);
+  const truncate = text => text.length > maxOutput ? `${text.slice(0, maxOutput)}\n... (truncated)` : text;
+
+  (async () => {
+    try {
+      let value = vm.runInContext(code, context, { timeout: timeoutMs, filename: "sandbox.js" });
+      if (value && typeof value.then === "function") value = await value;
+      parentPort.postMessage({ result: truncate(sandbox.format(value)), output: truncate(sandbox.output()) });
+    } catch (err) {
+      const error = err instanceof Error ? `${err.name}: ${err.message}` : sandbox.format(err);
+      parentPort.postMessage({ error: truncate(error), output: truncate(sandbox.output()) });
+    }
+  })();
+}
+
+let runningSandboxes = 0;
+
+// Resolves to { result, output } or { error, output }; errors in the user's
+// code are results for the model, not failures of the tool
+function runSandboxedJavaScript(code) {
+  if (runningSandboxes >= TOOL_SANDBOX.maxConcurrent) {
+    throw new Error("The code runner is busy. Try again in a moment.");
+  }
+  runningSandboxes += 1;
+
+  return new Promise(resolve => {
+    const worker = new Worker(`(${sandboxWorker})()`, {
+      eval: true,
+      env: {},
+      workerData: { code, timeoutMs: TOOL_SANDBOX.timeoutMs, maxOutput: TOOL_SANDBOX.maxOutput },
+      resourceLimits: {
+        maxOldGenerationSizeMb: TOOL_SANDBOX.memoryMb,
+        maxYoungGenerationSizeMb: 8,
+        codeRangeSizeMb: 8,
+        stackSizeMb: 4
+      }
+    });
+
+    let settled = false;
+    const finish = outcome => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      runningSandboxes -= 1;
+      worker.terminate();
+      resolve(outcome);
+    };
+
+    const timer = setTimeout(
+      () => finish({ error: `Execution timed out after ${TOOL_SANDBOX.timeoutMs} ms.` }),
+      TOOL_SANDBOX.timeoutMs + 500
+    );
+    worker.once("message", finish);
+    worker.once("error", err => finish({
+      error: err.code === "ERR_WORKER_OUT_OF_MEMORY"
+        ? `Memory limit of ${TOOL_SANDBOX.memoryMb} MB exceeded.`
+        : err.message
+    }));
+    worker.once("exit", exitCode => finish({ error: `Code runner exited unexpectedly (code ${exitCode}).` }));
+  });
+}
+
+const CALCULATOR_FUNCTIONS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs,
+  round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  log: Math.log10, ln: Math.log, log2: Math.log2, exp: Math.exp,
+  min: Math.min, max: Math.max, pow: Math.pow
+};
+
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Recursive-descent evaluator: + - * / % and ^ (or **, right-associative),
+// parentheses, unary signs, CALCULATOR_FUNCTIONS and CALCULATOR_CONSTANTS
+function evaluateExpression(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z_]\w*|\*\*|\S/gi) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const expect = token => {
+    if (tokens[pos++] !== token) throw new Error(`Expected "${token}" in expression.`);
+  };
+
+  function parseSum() {
+    let value = parseProduct();
+    while (peek() === "+" || peek() === "-") {
+      value = tokens[pos++] === "+" ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  }
+
+  function parseProduct() {
+    let value = parseUnary();
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const op = tokens[pos++];
+      const right = parseUnary();
+      value = op === "*" ? value * right : op === "/" ? value / right : value % right;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peek() === "-") { pos++; return -parseUnary(); }
+    if (peek() === "+") { pos++; return parseUnary(); }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parseAtom();
+    if (peek() === "^" || peek() === "**") {
+      pos++;
+      return base ** parseUnary();
+    }
+    return base;
+  }
+
+  function parseAtom() {
+    const token = tokens[pos++];
+    if (token === undefined) throw new Error("Unexpected end of expression.");
+    if (token === "(") {
+      const value = parseSum();
+      expect(")");
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(CALCULATOR_CONSTANTS, name)) return CALCULATOR_CONSTANTS[name];
+    if (Object.hasOwn(CALCULATOR_FUNCTIONS, name)) {
+      expect("(");
+      const args = [parseSum()];
+      while (peek() === ",") {
+        pos++;
+        args.push(parseSum());
+      }
+      expect(")");
+      return CALCULATOR_FUNCTIONS[name](...args);
+    }
+    throw new Error(`Unexpected "${token}" in expression.`);
+  }
+
+  const value = parseSum();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek()}" in expression.`);
+  if (!Number.isFinite(value)) throw new Error("The result is not a finite number.");
+  return value;
+}
+
+const TOOLS = {
+  run_javascript: {
+    description: "Run JavaScript in an isolated sandbox and return the value of the last expression plus anything printed with console.log. " +
+      "Use it to check code or compute results. There is no network, file system, require/import or timers; " +
+      `runs are limited to ${TOOL_SANDBOX.timeoutMs} ms and ${TOOL_SANDBOX.memoryMb} MB.`,
+    parameters: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "The JavaScript source to run." }
+      },
+      required: ["code"]
+    },
+    async run({ code }) {
+      if (typeof code !== "string" || !code.trim()) throw new Error("code must be a non-empty string.");
+      if (code.length > TOOL_SANDBOX.maxCodeLength) {
+        throw new Error(`code must be at most ${TOOL_SANDBOX.maxCodeLength} characters.`);
+      }
+      return runSandboxedJavaScript(code);
+    }
+  },
+
+  calculator: {
+    description: "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and " +
+      `the functions ${Object.keys(CALCULATOR_FUNCTIONS).join(", ")} (log is base 10, ln is natural).`,
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "The expression, e.g. \"sqrt(2) * (3 + 4)^2\"." }
+      },
+      required: ["expression"]
+    },
+    async run({ expression }) {
+      if (typeof expression !== "string" || !expression.trim()) throw new Error("expression must be a non-empty string.");
+      if (expression.length > 500) throw new Error("expression must be at most 500 characters.");
+      return { expression, result: evaluateExpression(expression) };
+    }
+  }
+};
+
+// Request bodies enable tools with `tools: true` (all of them) or a list of names
+function resolveTools(requested) {
+  if (requested === undefined || requested === null || requested === false) return undefined;
+
+  const names = requested === true ? Object.keys(TOOLS) : requested;
+  if (!Array.isArray(names) || names.some(name => !Object.hasOwn(TOOLS, name))) {
+    throw httpError(400, `tools must be true or a list of: ${Object.keys(TOOLS).join(", ")}.`);
+  }
+  return [...new Set(names)].map(name => ({ name, ...TOOLS[name] }));
+}
+
+// One tool call, as returned to the client:
+// { id, tool, arguments, result | error, durationMs }
+async function runTool(tools, call) {
+  const step = { id: call.id, tool: call.name, arguments: call.arguments };
+  const started = Date.now();
+
+  try {
+    const tool = tools.find(t => t.name === call.name);
+    if (!tool) throw new Error(`Unknown tool "${call.name}".`);
+    if (!call.arguments || typeof call.arguments !== "object" || Array.isArray(call.arguments)) {
+      throw new Error("Tool arguments must be a JSON object.");
+    }
+    step.result = await tool.run(call.arguments);
+  } catch (err) {
+    step.error = err.message;
+  }
+
+  step.durationMs = Date.now() - started;
+  return step;
+}
+
+// Calls the model, runs the tools it asks for and feeds the results back
+// until it answers in text. After TOOL_MAX_ROUNDS rounds of calls it has to
+// answer with what it has. Usage is summed over every round; each step is
+// reported through options.onStep as it completes.
+async function runToolLoop(entry, apiMessages, options, hasStreamed) {
+  const conversation = [...apiMessages];
+  const steps = [];
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+  for (let round = 0; ; round++) {
+    const toolChoice = round < TOOL_MAX_ROUNDS ? "auto" : "none";
+    const result = await callWithRetry(entry, conversation, { ...options, toolChoice }, hasStreamed);
+    addUsage(usage, result.usage || {});
+
+    if (!result.toolCalls?.length || toolChoice === "none") {
+      return { text: result.text, usage, steps };
+    }
+
+    conversation.push({ role: "assistant", content: result.text || "", toolCalls: result.toolCalls });
+    for (const call of result.toolCalls) {
+      const step = await runTool(options.tools, call);
+      steps.push(step);
+      options.onStep?.(step);
+      conversation.push({
+        role: "tool",
+        toolCallId: call.id,
+        name: call.name,
+        content: JSON.stringify(step.error ? { error: step.error } : step.result)
+      });
+    }
+  }
+}
+
+// ================== CHAT ROUTES ==================
+
+// Streaming is opt-in: `Accept: text/event-stream` or `?stream=1`
+function wantsEventStream(req) {
+  return req.query.stream === "1" || req.query.stream === "true" ||
+    (req.get("Accept") || "").includes("text/event-stream");
+}
+
+// Switch the response to Server-Sent Events and return a send(event, data) helper
+function openEventStream(res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Streamed text can't be taken back: when output moderation withholds or
+// redacts the reply, `done` carries the `text` to show instead
+async function streamChat(req, res, modelId, entry, messages, { preset, instructions, citations, tools, input }) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = openEventStream(res);
+
+  try {
+    const result = await generateChat(modelId, messages, {
+      userId: req.user.id,
+      signal: controller.signal,
+      instructions,
+      tools,
+      onDelta: text => send("delta", { text }),
+      onStep: step => send("tool", step)
+    });
+
+    recordUsage(req.user.id, result.modelId, result.usage || {});
+    const output = await moderateOutput(req, result.text, "chat", result.modelId);
+    const moderation = moderationNotice(input, output.verdict);
+    send("done", {
+      model: result.model,
+      modelId: result.modelId,
+      requestedModel: modelId,
+      fallback: result.fallback,
+      preset: presetRef(preset),
+      ...(citations && { citations }),
+      ...(tools && { steps: result.steps }),
+      ...(moderation && { moderation }),
+      ...(output.text !== result.text && { text: output.text }),
+      usage: result.usage || null
+    });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    if (err.expose) {
+      send("error", { error: err.message });
+    } else {
+      log.error("Chat stream error", { model: entry.upstream, err });
+      send("error", {
+        error: `Error generating response from ${entry.name}.`,
+        details: err.message
+      });
+    }
+  }
+
+  res.end();
+}
+
+// Roles the chat UIs send; "ai" is their name for the assistant
+const CHAT_ROLES = ["system", "user", "assistant", "ai"];
+
+function isChatMessage(msg) {
+  return Boolean(msg) && typeof msg === "object" && CHAT_ROLES.includes(msg.role) &&
+    (typeof msg.content === "string" ||
+      (Array.isArray(msg.content) && msg.content.every(part => part && typeof part === "object")));
+}
+
+// Which preset produced a reply, as returned to the client and stored with the message
+function presetRef(preset) {
+  return preset ? { id: preset.id, name: preset.name } : null;
+}
+
+// A reply on a saved chat's branch: the stored messages from the first one
+// down to `parentId`, then the new turn from the request (none when the
+// reply to `parentId` is being regenerated)
+async function branchConversation(userId, chatId, parentId, messages = []) {
+  if (!Array.isArray(messages)) {
+    throw httpError(400, "messages must be an array.");
+  }
+  const chat = isValidChatId(chatId) ? await chatStore.get(userId, chatId) : null;
+  if (!chat) {
+    throw httpError(404, "Chat not found.");
+  }
+
+  const path = branchPath(normalizeChatTree(chat), parentId);
+  if (!path.length) {
+    throw httpError(404, "Message not found.");
+  }
+  return [
+    ...path.map(msg => ({ role: msg.role, content: msg.content, ...(msg.imageUrl && { imageUrl: msg.imageUrl }) })),
+    ...messages
+  ];
+}
+
+// Body: { messages, presetId?, chatId?, parentId?, documentIds?, tools? }.
+// With chatId and parentId the conversation is read from that branch of the
+// saved chat and `messages` holds only the new turn (branchConversation()),
+// so a client can continue or regenerate any branch without resending it. The
+// preset is resolved by resolveInstructions(); chatId lets the server use
+// the chat's attached preset and its rolling context summary (prepareContext());
+// documentIds adds cited knowledge-base excerpts (knowledgeContext()); tools
+// lets the model call server-side tools (resolveTools()), returning each call
+// as a step. The newest user message is moderated before anything else and
+// the reply before it is returned.
+async function handleChat(req, res, modelId) {
+  const entry = Object.hasOwn(MODEL_REGISTRY, modelId || "") && MODEL_REGISTRY[modelId];
+  if (!entry) {
+    return res.status(400).json({ error: `Unknown model "${modelId}".` });
+  }
+
+  const { messages, parentId } = req.body;
+  if (parentId === undefined && (!messages || !Array.isArray(messages) || messages.length === 0)) {
+    return res.status(400).json({ error: "No messages provided." });
+  }
+  if (Array.isArray(messages) && messages.some(msg => !isChatMessage(msg))) {
+    return res.status(400).json({ error: `Each message needs a role (${CHAT_ROLES.join(", ")}) and text or content parts.` });
+  }
+
+  let context, history;
+  try {
+    const conversation = parentId === undefined
+      ? messages
+      : await branchConversation(req.user.id, req.body.chatId, parentId, messages);
+    const input = await moderateConversation(req, conversation, "chat");
+    context = await resolveInstructions(req.user, req.body);
+    context.input = input.verdict;
+    context.tools = resolveTools(req.body.tools);
+    const knowledge = await knowledgeContext(req.user.id, req.body.documentIds, input.messages);
+    if (knowledge) {
+      context.instructions.push(knowledge.instruction);
+      context.citations = knowledge.citations;
+    }
+    history = await prepareContext(req.user.id, modelId, input.messages, {
+      chatId: req.body.chatId,
+      instructions: context.instructions
+    });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Chat context error", { err });
+    return res.status(500).json({ error: "Error loading chat settings.", details: err.message });
+  }
+
+  if (wantsEventStream(req)) {
+    return streamChat(req, res, modelId, entry, history, context);
+  }
+
+  try {
+    const result = await generateChat(modelId, history, {
+      userId: req.user.id,
+      instructions: context.instructions,
+      tools: context.tools
+    });
+    recordUsage(req.user.id, result.modelId, result.usage || {});
+    const output = await moderateOutput(req, result.text, "chat", result.modelId);
+    const moderation = moderationNotice(context.input, output.verdict);
+
+    res.json({
+      text: output.text || "No response.",
+      model: result.model,
+      modelId: result.modelId,
+      requestedModel: modelId,
+      fallback: result.fallback,
+      preset: presetRef(context.preset),
+      ...(context.citations && { citations: context.citations }),
+      ...(context.tools && { steps: result.steps }),
+      ...(moderation && { moderation }),
+      usage: result.usage || null
+    });
+  } catch (err) {
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Chat error", { model: entry.upstream, err });
+    res.status(500).json({
+      error: `Error generating response from ${entry.name}.`,
+      details: err.message
+    });
+  }
+}
+
+// List of chat models for the frontend model picker
+app.get("/api/models", (req, res) => {
+  const models = Object.entries(MODEL_REGISTRY).map(([id, entry]) => ({
+    id,
+    name: entry.name,
+    provider: entry.provider,
+    vision: Boolean(entry.vision),
+    maxTokens: entry.maxTokens || null
+  }));
+
+  res.json({ models });
+});
+
+// Tools a chat request can enable with `tools`
+app.get("/api/tools", (req, res) => {
+  const tools = Object.entries(TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    parameters: tool.parameters
+  }));
+
+  res.json({ tools });
+});
+
+// Unified chat endpoint: { model, messages }
+app.post("/api/chat", requireFeature("advanced"), enforceLimits("chat"), (req, res) => handleChat(req, res, req.body.model));
+
+// Legacy per-model routes, kept as aliases of /api/chat
+const LEGACY_CHAT_ROUTES = {
+  "/api/generate-gpt5": "gpt-5",
+  "/api/generate-gpt5-mini": "gpt-5-mini",
+  "/api/generate-gpt5-nano": "gpt-5-nano",
+  "/api/generate-gpt4.1": "gpt-4.1",
+  "/api/generate-gpt40-mini": "gpt-40-mini",
+  "/api/generate-deepseek-chat": "deepseek-chat",
+  "/api/generate-deepseek-coder": "deepseek-coder",
+  "/api/generate-ultra": "ultra",
+  "/api/generate-gemini2.5-pro": "gemini2.5-pro"
+};
+
+for (const [route, modelId] of Object.entries(LEGACY_CHAT_ROUTES)) {
+  app.post(route, requireFeature("advanced"), enforceLimits("chat"), (req, res) => handleChat(req, res, modelId));
+}
+
+// ================== MODEL ARENA ==================
+
+// One conversation sent to several models side by side. Each comparison keeps
+// every model's reply, latency, usage and error plus the user's vote:
+// { id, userId, prompt, presetId, createdAt, results: [{ modelId, model, text,
+//   latencyMs, usage, error, moderation? }], vote: { winner: modelId | "tie", at } | null }
+const comparisons = createJsonStore('comparisons');
+
+const COMPARE_MIN_MODELS = 2;
+const COMPARE_MAX_MODELS = 4;
+
+// Fallbacks are off: a comparison should show which model actually failed
+async function compareModel(userId, modelId, messages, instructions, signal) {
+  const started = Date.now();
+  try {
+    const result = await generateChat(modelId, messages, { userId, instructions, signal, fallbacks: false });
+    recordUsage(userId, modelId, result.usage || {});
+    return {
+      modelId,
+      model: MODEL_REGISTRY[modelId].name,
+      text: result.text || "",
+      latencyMs: Date.now() - started,
+      usage: result.usage || null,
+      error: null
+    };
+  } catch (err) {
+    if (!err.expose && !signal?.aborted) log.error("Compare error", { modelId, err });
+    return {
+      modelId,
+      model: MODEL_REGISTRY[modelId].name,
+      text: null,
+      latencyMs: Date.now() - started,
+      usage: null,
+      error: err.expose ? err.message : `Error generating response from ${MODEL_REGISTRY[modelId].name}.`
+    };
+  }
+}
+
+function comparisonSummary(comparison) {
+  const { userId, ...summary } = comparison;
+  return summary;
+}
+
+// Body: { models: [modelId, ...], messages, presetId? }. With streaming each
+// model's result is sent as a "result" event as soon as it finishes.
+app.post("/api/compare", requireFeature("advanced"), enforceLimits("chat"), async (req, res) => {
+  const { models, messages } = req.body;
+
+  if (!Array.isArray(models) || new Set(models).size !== models.length ||
+      models.length < COMPARE_MIN_MODELS || models.length > COMPARE_MAX_MODELS) {
+    return res.status(400).json({ error: `Pick between ${COMPARE_MIN_MODELS} and ${COMPARE_MAX_MODELS} different models.` });
+  }
+  const unknown = models.filter(id => !Object.hasOwn(MODEL_REGISTRY, id));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown model: ${unknown.join(", ")}.` });
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res.status(400).json({ error: "No messages provided." });
+  }
+  if (messages.some(msg => !isChatMessage(msg))) {
+    return res.status(400).json({ error: `Each message needs a role (${CHAT_ROLES.join(", ")}) and text or content parts.` });
+  }
+
+  let instructions, preset, input;
+  try {
+    input = await moderateConversation(req, messages, "compare");
+    ({ instructions, preset } = await resolveInstructions(req.user, { presetId: req.body.presetId }));
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Compare settings error", { err });
+    return res.status(500).json({ error: "Error loading chat settings.", details: err.message });
+  }
+
+  const lastUser = [...input.messages].reverse().find(m => m.role === "user");
+  const comparison = {
+    id: crypto.randomUUID(),
+    userId: req.user.id,
+    prompt: lastUser ? messageText(lastUser).slice(0, 500) : "",
+    presetId: preset?.id || null,
+    createdAt: new Date().toISOString(),
+    results: [],
+    vote: null
+  };
+
+  const stream = wantsEventStream(req);
+  const controller = new AbortController();
+  const send = stream && openEventStream(res);
+  if (stream) {
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    send("start", { id: comparison.id, models });
+  }
+
+  const results = await Promise.all(models.map(async modelId => {
+    const result = await compareModel(req.user.id, modelId, input.messages, instructions, controller.signal);
+    if (result.text) {
+      const output = await moderateOutput(req, result.text, "compare", modelId);
+      const moderation = moderationNotice(null, output.verdict);
+      result.text = output.text;
+      if (moderation) result.moderation = moderation;
+    }
+    if (stream && !controller.signal.aborted) send("result", result);
+    return result;
+  }));
+
+  if (controller.signal.aborted) return;
+
+  // Keep the order the models were requested in
+  comparison.results = results;
+  comparisons.data[comparison.id] = comparison;
+  comparisons.save();
+
+  if (stream) {
+    send("done", { id: comparison.id });
+    return res.end();
+  }
+  res.json({ comparison: comparisonSummary(comparison) });
+});
+
+// Per-model win rates over voted comparisons. `?scope=mine` counts only the
+// current user's votes. Ties count as a comparison without a win; replies
+// that failed are counted as errors, not votes.
+app.get("/api/compare/stats", requireAuth, (req, res) => {
+  const mine = req.query.scope === "mine";
+  const stats = {};
+
+  for (const comparison of Object.values(comparisons.data)) {
+    if (mine && comparison.userId !== req.user.id) continue;
+
+    for (const result of comparison.results) {
+      const entry = (stats[result.modelId] ||= {
+        modelId: result.modelId,
+        model: MODEL_REGISTRY[result.modelId]?.name || result.modelId,
+        runs: 0,
+        errors: 0,
+        totalLatencyMs: 0,
+        votes: 0,
+        wins: 0
+      });
+      entry.runs += 1;
+      entry.totalLatencyMs += result.latencyMs;
+      if (result.error) entry.errors += 1;
+      if (comparison.vote && !result.error) {
+        entry.votes += 1;
+        if (comparison.vote.winner === result.modelId) entry.wins += 1;
+      }
+    }
+  }
+
+  const models = Object.values(stats)
+    .map(({ totalLatencyMs, ...entry }) => ({
+      ...entry,
+      winRate: entry.votes ? entry.wins / entry.votes : null,
+      avgLatencyMs: Math.round(totalLatencyMs / entry.runs)
+    }))
+    .sort((a, b) => (b.winRate ?? -1) - (a.winRate ?? -1) || b.votes - a.votes);
+
+  res.json({ scope: mine ? "mine" : "all", models });
+});
+
+app.get("/api/compare/:id", requireAuth, (req, res) => {
+  const comparison = comparisons.data[req.params.id];
+  if (!comparison || comparison.userId !== req.user.id) {
+    return res.status(404).json({ error: "Comparison not found." });
+  }
+  res.json({ comparison: comparisonSummary(comparison) });
+});
+
+// Body: { winner: modelId | "tie" }. Voting again replaces the earlier vote.
+app.post("/api/compare/:id/vote", requireAuth, (req, res) => {
+  const comparison = comparisons.data[req.params.id];
+  if (!comparison || comparison.userId !== req.user.id) {
+    return res.status(404).json({ error: "Comparison not found." });
+  }
+
+  const { winner } = req.body;
+  const answered = comparison.results.filter(r => !r.error).map(r => r.modelId);
+  if (winner !== "tie" && !answered.includes(winner)) {
+    return res.status(400).json({ error: `winner must be "tie" or one of: ${answered.join(", ")}.` });
+  }
+
+  comparison.vote = { winner, at: new Date().toISOString() };
+  comparisons.save();
+
+  res.json({ comparison: comparisonSummary(comparison) });
+});
+
+// ================== IMAGE GENERATION ROUTES ==================
+
+// DALL·E URLs expire within hours, so generated images are written to
+// GENERATED_DIR and tracked here with their prompt and owner.
+const generatedImages = createJsonStore('images');
+
+const IMAGE_OPTIONS = {
+  size: ["1024x1024", "1792x1024", "1024x1792"],
+  quality: ["standard", "hd"],
+  style: ["vivid", "natural"]
+};
+const MAX_IMAGES_PER_REQUEST = 4;
+
+function imageSummary(image) {
+  return {
+    id: image.id,
+    url: image.url,
+    prompt: image.prompt,
+    revisedPrompt: image.revisedPrompt,
+    size: image.size,
+    quality: image.quality,
+    style: image.style,
+    model: image.model,
+    createdAt: image.createdAt
+  };
+}
+
+// Validates the options, generates with DALL·E 3 and adds the images to the
+// user's history. Resolves to [{ image, data }] where data is the PNG.
+async function generateImages(userId, options) {
+  const { prompt } = options;
+  if (!prompt) throw httpError(400, "No prompt provided.");
+
+  const size = options.size || "1024x1024";
+  const quality = options.quality || "standard";
+  const style = options.style || "vivid";
+  const n = Number(options.n) || 1;
+
+  for (const [name, value] of Object.entries({ size, quality, style })) {
+    if (!IMAGE_OPTIONS[name].includes(value)) {
+      throw httpError(400, `Invalid ${name}. Use one of: ${IMAGE_OPTIONS[name].join(", ")}.`);
+    }
+  }
+  if (!Number.isInteger(n) || n < 1 || n > MAX_IMAGES_PER_REQUEST) {
+    throw httpError(400, `n must be between 1 and ${MAX_IMAGES_PER_REQUEST}.`);
+  }
+
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  // DALL-E 3 only returns one image per call, so ask n times in parallel
+  const responses = await Promise.all(Array.from({ length: n }, () =>
+    openai.images.generate({
+      model: "dall-e-3",
+      prompt: prompt,
+      n: 1,
+      size,
+      quality,
+      style,
+      response_format: "b64_json",
+    })
+  ));
+
+  fs.mkdirSync(GENERATED_DIR, { recursive: true });
+
+  const results = [];
+  for (const response of responses) {
+    const id = crypto.randomUUID();
+    const file = `${id}.png`;
+    const data = Buffer.from(response.data[0].b64_json, "base64");
+    await fs.promises.writeFile(path.join(GENERATED_DIR, file), data);
+
+    const image = {
+      id,
+      userId,
+      file,
+      url: `/generated/${file}`,
+      prompt,
+      revisedPrompt: response.data[0].revised_prompt || null,
+      size,
+      quality,
+      style,
+      model: "dall-e-3",
+      createdAt: new Date().toISOString()
+    };
+    generatedImages.data[id] = image;
+    results.push({ image, data });
+  }
+  generatedImages.save();
+  recordUsage(userId, "dall-e-3", { images: results.length });
+
+  return results;
+}
+
+// Image output isn't moderated, so the prompt is all that is checked.
+// Resolves to the request body with the prompt's redactions applied.
+async function moderateImageRequest(req) {
+  const { prompt } = req.body;
+  const input = await moderateInput(req, prompt, "image");
+  return input.redactions.length ? { ...req.body, prompt: redactText(prompt, input.redactions) } : req.body;
+}
+
+// Generate Image with DALL-E
+// Body: { prompt, size?, quality?, style?, n? (1-4) }
+app.post("/api/generate-image", requireFeature("advanced"), enforceLimits("image"), async (req, res) => {
+  try {
+    const results = await generateImages(req.user.id, await moderateImageRequest(req));
+    const images = results.map(({ image }) => imageSummary(image));
+
+    res.json({ 
+      success: true,
+      imageUrl: images[0].url,
+      images,
+      message: "Image generated successfully"
+    });
+    
+  } catch (err) {
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Image generation error", { err });
+    res.status(500).json({ 
+      error: "Error generating image.",
+      details: err.message 
+    });
+  }
+});
+
+// The current user's generation history, newest first
+app.get("/api/images", requireAuth, (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const images = Object.values(generatedImages.data)
+    .filter(image => image.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.json({
+    success: true,
+    images: images.slice(offset, offset + limit).map(imageSummary),
+    total: images.length,
+    offset,
+    limit
+  });
+});
+
+app.delete("/api/images/:id", requireAuth, async (req, res) => {
+  try {
+    const image = generatedImages.data[req.params.id];
+    if (!image || image.userId !== req.user.id) {
+      return res.status(404).json({ error: "Image not found." });
+    }
+
+    await fs.promises.rm(path.join(GENERATED_DIR, image.file), { force: true });
+    delete generatedImages.data[image.id];
+    generatedImages.save();
+
+    res.json({ success: true });
+  } catch (err) {
+    log.error("Delete image error", { err });
+    res.status(500).json({ error: "Error deleting image." });
+  }
+});
+
+// Image upload endpoint
+app.post("/api/upload-image", requireFeature("advanced"), keepRequestContext(upload.single('image')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No image file uploaded." });
+    }
+
+    const record = await saveImageUpload(req.user, req.file);
+    
+    res.json({ 
+      success: true, 
+      imageUrl: `/uploads/${record.file}`,
+      message: "Image uploaded successfully"
+    });
+  } catch (err) {
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Image upload error", { err });
+    res.status(500).json({ error: "Error uploading image." });
+  }
+});
+
+// Analyze an image with a vision model. Send a new file as `image`, or pass
+// the `imageUrl` returned earlier to ask a follow-up about the same image.
+// Earlier turns come from `history` (array, or JSON string in multipart
+// forms) or from the current branch of a saved chat via `chatId`, which also
+// records the exchange on that branch.
+const DEFAULT_VISION_MODEL = "gpt-40-mini";
+
+app.post("/api/analyze-image", requireFeature("advanced"), enforceLimits("chat"), keepRequestContext(upload.single('image')), async (req, res) => {
+  try {
+    if (!req.file && !req.body.imageUrl) {
+      return res.status(400).json({ error: "No image file uploaded." });
+    }
+
+    const modelId = req.body.model || DEFAULT_VISION_MODEL;
+    const entry = Object.hasOwn(MODEL_REGISTRY, modelId) && MODEL_REGISTRY[modelId];
+    if (!entry || !entry.vision) {
+      return res.status(400).json({ error: `Model "${modelId}" cannot read images. Try one of: ${VISION_MODELS.join(", ")}.` });
+    }
+
+    const asked = (req.body.question || "").trim() || "Describe this image in detail.";
+    const input = await moderateInput(req, asked, "analyze-image");
+    const question = redactText(asked, input.redactions);
+
+    let history = req.body.history || [];
+    if (typeof history === "string") {
+      try {
+        history = JSON.parse(history);
+      } catch {
+        return res.status(400).json({ error: "history must be a JSON array." });
+      }
+    }
+
+    const chat = req.body.chatId ? await chatStore.get(req.user.id, req.body.chatId) : null;
+    if (req.body.chatId && !chat) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+    if (chat) history = activePath(chat);
+    if (!Array.isArray(history) || history.some(m => !m || typeof m !== "object")) {
+      return res.status(400).json({ error: "history must be a JSON array of messages." });
+    }
+
+    // Stored only once the request is known to be valid
+    const imageUrl = req.file
+      ? `/uploads/${(await saveImageUpload(req.user, req.file)).file}`
+      : req.body.imageUrl;
+
+    // Attach the image to this question unless an earlier turn already carries it
+    const questionMessage = {
+      role: "user",
+      content: question,
+      ...(!history.some(m => m.imageUrl === imageUrl) && { type: "image", imageUrl })
+    };
+
+    const result = await generateChat(modelId, [
+      ...history.map(m => ({ role: m.role, content: m.content, imageUrl: m.imageUrl })),
+      questionMessage
+    ], { userId: req.user.id });
+    recordUsage(req.user.id, result.modelId, result.usage || {});
+    const output = await moderateOutput(req, result.text, "analyze-image", result.modelId);
+    const analysis = output.text || "No response.";
+    const moderation = moderationNotice(input, output.verdict);
+
+    if (chat) {
+      const now = new Date().toISOString();
+      const updated = appendToBranch(chat,
+        { ...questionMessage, timestamp: now },
+        { role: "ai", content: analysis, model: result.modelId, timestamp: now }
+      );
+      updated.lastUpdated = now;
+      await chatStore.put(req.user.id, updated);
+    }
+
+    res.json({
+      success: true,
+      analysis,
+      model: result.model,
+      modelId: result.modelId,
+      fallback: result.fallback,
+      usage: result.usage || null,
+      ...(moderation && { moderation }),
+      imageUrl: imageUrl
+    });
+    
+  } catch (err) {
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Image analysis error", { err });
+    res.status(500).json({ error: "Error analyzing image.", details: err.message });
+  }
+});
+
+// ================== PUBLIC API ==================
+
+// OpenAI-compatible endpoints under /v1 for scripts and IDE plugins. They
+// authenticate with per-user API keys (Authorization: Bearer cgai_...)
+// instead of the session, and share the web app's plan features, limits and
+// usage metering. Only a SHA-256 hash of each key is stored.
+const apiKeys = createJsonStore('api-keys');
+
+const API_KEY_PREFIX = "cgai_";
+const MAX_API_KEYS = 10;
+const CHAT_API_ROLES = ["system", "developer", "user", "assistant"];
+
+function hashApiKey(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function apiKeySummary(key) {
+  const { userId, hash, ...summary } = key;
+  return summary;
+}
+
+app.get("/api/keys", requireAuth, (req, res) => {
+  const keys = Object.values(apiKeys.data)
+    .filter(key => key.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(apiKeySummary);
+
+  res.json({ keys, baseUrl: `${req.protocol}://${req.get("host")}/v1` });
+});
+
+// Body: { name? }. The secret is only ever returned by this call.
+app.post("/api/keys", requireFeature("advanced"), (req, res) => {
+  const active = Object.values(apiKeys.data).filter(key => key.userId === req.user.id && !key.revokedAt);
+  if (active.length >= MAX_API_KEYS) {
+    return res.status(400).json({ error: `You can have at most ${MAX_API_KEYS} active API keys. Revoke one first.` });
+  }
+
+  const secret = API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const key = {
+    id: crypto.randomUUID(),
+    userId: req.user.id,
+    name: String(req.body.name || "").trim().slice(0, 60) || "API key",
+    hint: `${secret.slice(0, 9)}...${secret.slice(-4)}`,
+    hash: hashApiKey(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  apiKeys.data[key.id] = key;
+  apiKeys.save();
+
+  res.status(201).json({ key: apiKeySummary(key), secret });
+});
+
+// Revoked keys stay listed so their usage history still makes sense
+app.delete("/api/keys/:id", requireAuth, (req, res) => {
+  const key = apiKeys.data[req.params.id];
+  if (!key || key.userId !== req.user.id) {
+    return res.status(404).json({ error: "API key not found." });
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    apiKeys.save();
+  }
+
+  res.json({ success: true, key: apiKeySummary(key) });
+});
+
+const OPENAI_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  429: "rate_limit_error"
+};
+
+// Rewrites our { error: "message", ... } bodies into OpenAI's
+// { error: { message, type, param, code } } so requireFeature() and
+// enforceLimits() can be shared with the web routes
+function openAIErrors(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (typeof body?.error !== "string") return json(body);
+    return json({
+      error: {
+        message: body.error,
+        type: OPENAI_ERROR_TYPES[res.statusCode] || "server_error",
+        param: body.param || null,
+        code: body.code || body.quota || null
+      }
+    });
+  };
+  next();
+}
+
+// /v1 is key-only: a browser session on its own is not enough
+function apiKeyAuth(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  const hash = match && hashApiKey(match[1]);
+  const key = hash && Object.values(apiKeys.data).find(k => k.hash === hash);
+  const user = key && !key.revokedAt && users.data[key.userId];
+
+  if (!user) {
+    return res.status(401).json({ error: "Invalid or revoked API key.", code: "invalid_api_key" });
+  }
+
+  req.user = user;
+  req.apiKey = key;
+  key.lastUsedAt = new Date().toISOString();
+  apiKeys.save();
+  next();
+}
+
+app.use("/v1", openAIErrors, apiKeyAuth);
+
+function toOpenAIUsage(usage) {
+  return {
+    prompt_tokens: usage?.promptTokens || 0,
+    completion_tokens: usage?.completionTokens || 0,
+    total_tokens: usage?.totalTokens || 0
+  };
+}
+
+// temperature / top_p / max_tokens (or max_completion_tokens) -> the
+// `generation` overrides of generateChat(). Returns an error body when invalid.
+function parseGenerationParams(body) {
+  const generation = {};
+  const checks = [
+    ["temperature", "temperature", value => value >= 0 && value <= 2],
+    ["top_p", "topP", value => value >= 0 && value <= 1],
+    ["max_tokens", "maxTokens", value => Number.isInteger(value) && value > 0],
+    ["max_completion_tokens", "maxTokens", value => Number.isInteger(value) && value > 0]
+  ];
+
+  for (const [param, field, valid] of checks) {
+    if (body[param] === undefined || body[param] === null) continue;
+    if (typeof body[param] !== "number" || !valid(body[param])) {
+      return { error: { error: `Invalid value for ${param}.`, param } };
+    }
+    generation[field] = body[param];
+  }
+  return { generation };
+}
+
+app.get("/v1/models", (req, res) => {
+  res.json({
+    object: "list",
+    data: Object.entries(MODEL_REGISTRY).map(([id, entry]) => ({
+      id,
+      object: "model",
+      created: 0,
+      owned_by: entry.provider
+    }))
+  });
+});
+
+// Body: OpenAI chat completion request. Models are our registry ids and fall
+// back like the web chat; client-side tools and n > 1 are not supported.
+app.post("/v1/chat/completions", requireFeature("advanced"), enforceLimits("chat"), async (req, res) => {
+  const { model: modelId, messages } = req.body;
+  const entry = Object.hasOwn(MODEL_REGISTRY, modelId || "") && MODEL_REGISTRY[modelId];
+  if (!entry) {
+    return res.status(404).json({ error: `The model "${modelId}" does not exist. See GET /v1/models.`, param: "model", code: "model_not_found" });
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res.status(400).json({ error: "messages must be a non-empty array.", param: "messages" });
+  }
+  if (messages.some(m => !CHAT_API_ROLES.includes(m?.role))) {
+    return res.status(400).json({ error: `Message roles must be one of: ${CHAT_API_ROLES.join(", ")}.`, param: "messages" });
+  }
+  if (req.body.tools || req.body.functions) {
+    return res.status(400).json({ error: "Client-side tools are not supported.", param: "tools" });
+  }
+  if (req.body.n !== undefined && req.body.n !== null && req.body.n !== 1) {
+    return res.status(400).json({ error: "Only n=1 is supported.", param: "n" });
+  }
+
+  const { generation, error } = parseGenerationParams(req.body);
+  if (error) return res.status(400).json(error);
+
+  // moderateConversation() only rejects with a 400 for blocked input
+  let conversation = messages.map(m => ({ ...m, role: m.role === "developer" ? "system" : m.role }));
+  try {
+    ({ messages: conversation } = await moderateConversation(req, conversation, "api"));
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message, code: "content_policy_violation" });
+  }
+
+  const completion = {
+    id: `chatcmpl-${crypto.randomUUID()}`,
+    created: Math.floor(Date.now() / 1000)
+  };
+
+  if (req.body.stream) {
+    return streamCompletion(req, res, modelId, entry, conversation, generation, completion);
+  }
+
+  try {
+    const result = await generateChat(modelId, conversation, { userId: req.user.id, generation });
+    recordUsage(req.user.id, result.modelId, result.usage || {});
+    const output = await moderateOutput(req, result.text, "api", result.modelId);
+
+    res.json({
+      ...completion,
+      object: "chat.completion",
+      model: result.modelId,
+      choices: [{
+        index: 0,
+        message: { role: "assistant", content: output.text || "" },
+        finish_reason: output.verdict.action === "block" ? "content_filter" : "stop"
+      }],
+      usage: toOpenAIUsage(result.usage)
+    });
+  } catch (err) {
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("API chat error", { model: entry.upstream, err });
+    res.status(500).json({ error: `Error generating response from ${entry.name}.` });
+  }
+});
+
+// OpenAI-style SSE: bare "data:" chunks ending with "data: [DONE]". The stream
+// only opens with the first delta, so errors before that keep their status.
+// Output is moderated once it is complete; deltas already sent can't be
+// recalled, so a blocked reply only ends with finish_reason "content_filter".
+async function streamCompletion(req, res, modelId, entry, conversation, generation, completion) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  const chunk = (delta, finishReason = null, model = modelId) => send({
+    ...completion,
+    object: "chat.completion.chunk",
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  const open = () => {
+    if (res.headersSent) return;
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    chunk({ role: "assistant", content: "" });
+  };
+
+  try {
+    const result = await generateChat(modelId, conversation, {
+      userId: req.user.id,
+      generation,
+      signal: controller.signal,
+      onDelta: text => {
+        open();
+        chunk({ content: text });
+      }
+    });
+    recordUsage(req.user.id, result.modelId, result.usage || {});
+    const output = await moderateOutput(req, result.text, "api", result.modelId);
+
+    open();
+    chunk({}, output.verdict.action === "block" ? "content_filter" : "stop", result.modelId);
+    if (req.body.stream_options?.include_usage) {
+      send({ ...completion, object: "chat.completion.chunk", model: result.modelId, choices: [], usage: toOpenAIUsage(result.usage) });
+    }
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    if (!err.expose) log.error("API chat stream error", { model: entry.upstream, err });
+
+    const message = err.expose ? err.message : `Error generating response from ${entry.name}.`;
+    if (!res.headersSent) {
+      return res.status(err.expose ? err.status : 500).json({ error: message });
+    }
+    send({ error: { message, type: "server_error", param: null, code: null } });
+  }
+
+  res.end("data: [DONE]\n\n");
+}
+
+// Body: OpenAI image request (dall-e-3 only). URLs point at our stored copy.
+app.post("/v1/images/generations", requireFeature("advanced"), enforceLimits("image"), async (req, res) => {
+  const model = req.body.model || "dall-e-3";
+  const format = req.body.response_format || "url";
+  if (model !== "dall-e-3") {
+    return res.status(400).json({ error: "Only dall-e-3 is available.", param: "model" });
+  }
+  if (format !== "url" && format !== "b64_json") {
+    return res.status(400).json({ error: "response_format must be url or b64_json.", param: "response_format" });
+  }
+
+  try {
+    const results = await generateImages(req.user.id, await moderateImageRequest(req));
+
+    res.json({
+      created: Math.floor(Date.now() / 1000),
+      data: results.map(({ image, data }) => ({
+        ...(format === "b64_json"
+          ? { b64_json: data.toString("base64") }
+          : { url: `${req.protocol}://${req.get("host")}${image.url}` }),
+        revised_prompt: image.revisedPrompt
+      }))
+    });
+  } catch (err) {
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("API image generation error", { err });
+    res.status(500).json({ error: "Error generating image." });
+  }
+});
+
+// ================== CHAT STORAGE ==================
+
+// Chat storage backends. Every backend scopes chats to a user id and
+// exposes the same async interface, so a database-backed one can be
+// dropped in via CHAT_STORE without touching the routes.
+const chatStoreAdapters = {
+  // Default: one JSON file, { [userId]: { chats: { [chatId]: chat }, deleted: { [chatId]: isoDate } } }.
+  // `deleted` keeps tombstones so a sync from another device doesn't
+  // bring a deleted chat back.
+  file() {
+    const store = createJsonStore('chats');
+    const bucket = userId => (store.data[userId] ||= { chats: {}, deleted: {} });
+
+    // The maps come from JSON, so only own keys are chats
+    return {
+      async get(userId, chatId) {
+        const { chats } = bucket(userId);
+        return Object.hasOwn(chats, chatId) ? chats[chatId] : null;
+      },
+
+      async put(userId, chat) {
+        const b = bucket(userId);
+        b.chats[chat.id] = chat;
+        delete b.deleted[chat.id];
+        store.save();
+        return chat;
+      },
+
+      async remove(userId, chatId) {
+        const b = bucket(userId);
+        if (!Object.hasOwn(b.chats, chatId)) return false;
+        delete b.chats[chatId];
+        b.deleted[chatId] = new Date().toISOString();
+        store.save();
+        return true;
+      },
+
+      async deleted(userId) {
+        return { ...bucket(userId).deleted };
+      },
+
+      // Newest first; `query` matches the title or any message content, in any branch
+      async list(userId, { query = "", offset = 0, limit = 50 } = {}) {
+        const q = query.toLowerCase();
+        let chats = Object.values(bucket(userId).chats);
+
+        if (q) {
+          chats = chats.filter(chat =>
+            (chat.title || "").toLowerCase().includes(q) ||
+            (chat.messages || []).some(m => typeof m.content === "string" && m.content.toLowerCase().includes(q))
+          );
+        }
+
+        chats.sort((a, b) => (b.lastUpdated || "").localeCompare(a.lastUpdated || ""));
+        return { total: chats.length, chats: chats.slice(offset, offset + limit) };
+      }
+    };
+  }
+};
+
+const CHAT_STORE = process.env.CHAT_STORE || "file";
+if (!chatStoreAdapters[CHAT_STORE]) {
+  throw new Error(`Unknown CHAT_STORE "${CHAT_STORE}".`);
+}
+const chatStore = chatStoreAdapters[CHAT_STORE]();
+
+function chatSummary(chat, query) {
+  const summary = {
+    id: chat.id,
+    title: chat.title,
+    model: chat.model,
+    presetId: chat.presetId || null,
+    createdAt: chat.createdAt,
+    lastUpdated: chat.lastUpdated,
+    messageCount: activePath(chat).length
+  };
+
+  // Show where a content search matched
+  if (query) {
+    const q = query.toLowerCase();
+    const match = (chat.messages || [])
+      .find(m => typeof m.content === "string" && m.content.toLowerCase().includes(q));
+    if (match) {
+      const at = match.content.toLowerCase().indexOf(q);
+      summary.snippet = match.content.slice(Math.max(0, at - 60), at + q.length + 60);
+    }
+  }
+
+  return summary;
+}
+
+// Names like __proto__ or constructor would reach Object.prototype in the
+// per-user maps, so they are never chat ids
+function isValidChatId(chatId) {
+  return typeof chatId === "string" && /^[\w.-]{1,100}$/.test(chatId) && !(chatId in Object.prototype);
+}
+
+// Every /:chatId route gets a well-formed id
+app.param("chatId", (req, res, next, chatId) => {
+  if (!isValidChatId(chatId)) {
+    return res.status(400).json({ error: "Invalid chat ID." });
+  }
+  next();
+});
+
+// Chats are trees. `messages` holds the messages of every branch, each with
+// an `id` and the `parentId` of the message it follows (null for the first),
+// and `currentId` is the last message of the branch on screen. Editing a
+// message adds a sibling with the same parent; regenerating a reply adds a
+// sibling reply. Whatever reads a conversation goes through activePath().
+function isValidMessageId(messageId) {
+  return typeof messageId === "string" && /^[\w.-]{1,100}$/.test(messageId);
+}
+
+// Fills in what chats saved before branching lack: a message without an id
+// gets `msg_<position>` and one without a parentId follows the message
+// stored before it. Every parent must come earlier in `messages`, which
+// also rules out cycles; anything else is a 400.
+function normalizeChatTree(chat) {
+  const ids = new Set();
+  let previous = null;
+
+  const messages = (Array.isArray(chat.messages) ? chat.messages : []).map((msg, i) => {
+    if (!msg || typeof msg !== "object") throw httpError(400, "Invalid message.");
+    const id = msg.id ?? `msg_${i + 1}`;
+    const parentId = msg.parentId === undefined ? previous : msg.parentId;
+    if (!isValidMessageId(id) || ids.has(id)) {
+      throw httpError(400, "Message IDs must be unique.");
+    }
+    if (parentId !== null && !ids.has(parentId)) {
+      throw httpError(400, `Message ${id} follows a message that isn't before it.`);
+    }
+    ids.add(id);
+    previous = id;
+    return { ...msg, id, parentId };
+  });
+
+  return { ...chat, messages, currentId: ids.has(chat.currentId) ? chat.currentId : previous };
+}
+
+// Messages from the first one down to `messageId`; empty for an unknown id
+function branchPath(tree, messageId) {
+  const byId = new Map(tree.messages.map(msg => [msg.id, msg]));
+  const path = [];
+  for (let msg = byId.get(messageId); msg; msg = byId.get(msg.parentId)) {
+    path.unshift(msg);
+  }
+  return path;
+}
+
+function activePath(chat) {
+  const tree = normalizeChatTree(chat);
+  return branchPath(tree, tree.currentId);
+}
+
+// Where a branch through `messageId` ends, following the newest reply at each step
+function branchLeaf(tree, messageId) {
+  let id = messageId;
+  for (let child; (child = tree.messages.findLast(msg => msg.parentId === id));) {
+    id = child.id;
+  }
+  return id;
+}
+
+// Adds messages written by the server to the end of the branch on screen
+function appendToBranch(chat, ...messages) {
+  const tree = normalizeChatTree(chat);
+  for (const msg of messages) {
+    const id = `msg_${crypto.randomUUID()}`;
+    tree.messages.push({ ...msg, id, parentId: tree.currentId });
+    tree.currentId = id;
+  }
+  return tree;
+}
+
+app.post("/api/save-chat", requireAuth, async (req, res) => {
+  try {
+    const { chatId, chatData } = req.body;
+    
+    if (!chatId || !chatData) {
+      return res.status(400).json({ error: "Chat ID and data are required." });
+    }
+    if (typeof chatData !== "object" || Array.isArray(chatData)) {
+      return res.status(400).json({ error: "Chat data must be an object." });
+    }
+    if (!isValidChatId(chatId)) {
+      return res.status(400).json({ error: "Invalid chat ID." });
+    }
+
+    const existing = await chatStore.get(req.user.id, chatId);
+    await chatStore.put(req.user.id, {
+      // Context summaries are kept server-side; clients may not send them back
+      contextSummaries: existing?.contextSummaries,
+      ...normalizeChatTree(chatData),
+      id: chatId,
+      createdAt: existing?.createdAt || chatData.createdAt || new Date().toISOString(),
+      lastUpdated: new Date().toISOString()
+    });
+
+    res.json({ success: true, message: "Chat saved successfully" });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Save chat error", { err });
+    res.status(500).json({ error: "Error saving chat." });
+  }
+});
+
+app.get("/api/load-chat/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const chat = await chatStore.get(req.user.id, chatId);
+    
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    res.json({ success: true, chatData: normalizeChatTree(chat) });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Load chat error", { err });
+    res.status(500).json({ error: "Error loading chat." });
+  }
+});
+
+// ?q= searches titles and messages; ?offset=&limit= paginate
+app.get("/api/user-chats", requireAuth, async (req, res) => {
+  try {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const { total, chats } = await chatStore.list(req.user.id, { query, offset, limit });
+
+    res.json({
+      success: true,
+      chats: chats.map(chat => chatSummary(chat, query)),
+      total,
+      offset,
+      limit
+    });
+  } catch (err) {
+    log.error("Get user chats error", { err });
+    res.status(500).json({ error: "Error loading user chats." });
+  }
+});
+
+// Rename a chat, attach a persona preset ({ presetId: null } detaches it, so
+// the user's default preset applies again) and/or switch branches: any
+// message can be given as `currentId`, and the branch continues to its newest
+// reply, so picking a sibling shows the rest of that version's conversation
+app.patch("/api/chats/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { title, presetId, currentId } = req.body;
+    if (title === undefined && presetId === undefined && currentId === undefined) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+    if (title !== undefined && (typeof title !== "string" || !title.trim())) {
+      return res.status(400).json({ error: "Title is required." });
+    }
+    if (presetId !== undefined && presetId !== null && !findOwnPreset(req.user.id, presetId)) {
+      return res.status(404).json({ error: "Preset not found." });
+    }
+
+    const stored = await chatStore.get(req.user.id, req.params.chatId);
+    if (!stored) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    const chat = normalizeChatTree(stored);
+    if (currentId !== undefined) {
+      if (!chat.messages.some(msg => msg.id === currentId)) {
+        return res.status(404).json({ error: "Message not found." });
+      }
+      chat.currentId = branchLeaf(chat, currentId);
+    }
+    if (title !== undefined) chat.title = title.trim().slice(0, 200);
+    if (presetId !== undefined) chat.presetId = presetId;
+    chat.lastUpdated = new Date().toISOString();
+    await chatStore.put(req.user.id, chat);
+
+    res.json({
+      success: true,
+      chat: chatSummary(chat),
+      ...(currentId !== undefined && { currentId: chat.currentId, messages: activePath(chat) })
+    });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Update chat error", { err });
+    res.status(500).json({ error: "Error updating chat." });
+  }
+});
+
+app.delete("/api/chats/:chatId", requireAuth, async (req, res) => {
+  try {
+    const removed = await chatStore.remove(req.user.id, req.params.chatId);
+    if (!removed) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    // A deleted chat's share link dies with it
+    const share = findChatShare(req.user.id, req.params.chatId);
+    if (share) {
+      delete chatShares.data[share.shareId];
+      chatShares.save();
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    log.error("Delete chat error", { err });
+    res.status(500).json({ error: "Error deleting chat." });
+  }
+});
+
+// Two-way sync with the browser's localStorage `aiChats`. The newer copy of
+// each chat (by lastUpdated) wins; the response holds the merged set plus ids
+// the client should drop because they were deleted elsewhere.
+app.post("/api/sync-chats", requireAuth, async (req, res) => {
+  try {
+    const incoming = req.body.chats && typeof req.body.chats === "object" ? req.body.chats : {};
+    const deleted = await chatStore.deleted(req.user.id);
+
+    for (const [chatId, chat] of Object.entries(incoming)) {
+      if (!isValidChatId(chatId) || !chat || typeof chat !== "object") continue;
+
+      const lastUpdated = chat.lastUpdated || chat.createdAt || new Date(0).toISOString();
+      if (deleted[chatId] && deleted[chatId] >= lastUpdated) continue;
+
+      const existing = await chatStore.get(req.user.id, chatId);
+      if (!existing || (existing.lastUpdated || "") < lastUpdated) {
+        let tree;
+        try {
+          tree = normalizeChatTree(chat);
+        } catch {
+          continue; // a malformed tree never replaces the stored copy
+        }
+        await chatStore.put(req.user.id, { contextSummaries: existing?.contextSummaries, ...tree, id: chatId, lastUpdated });
+      }
+    }
+
+    const { chats } = await chatStore.list(req.user.id, { limit: Infinity });
+    const remaining = await chatStore.deleted(req.user.id);
+
+    res.json({
+      success: true,
+      chats: Object.fromEntries(chats.map(chat => [chat.id, chat])),
+      deleted: Object.keys(remaining)
+    });
+  } catch (err) {
+    log.error("Sync chats error", { err });
+    res.status(500).json({ error: "Error syncing chats." });
+  }
+});
+
+// ================== CHAT EXPORT & SHARING ==================
+
+// Export format (JSON; schema served at GET /api/chats/schema):
+// { format: "codegoldenai.chats", version: 1, exportedAt,
+//   chats: [{ id, title, model, createdAt, lastUpdated,
+//     messages: [{ role: "user" | "assistant", content, model, timestamp, images: [url] }] }] }
+// `messages` is the branch on screen; the other versions of edited or
+// regenerated messages stay behind.
+// `model` is the display name of the model that answered. Generated images
+// (stored by the UI as "IMAGE:<url>" messages) become assistant messages
+// with empty content and the url in `images`.
+const CHAT_EXPORT_FORMAT = "codegoldenai.chats";
+const CHAT_EXPORT_VERSION = 1;
+const CHAT_EXPORT_TYPES = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+  html: { extension: "html", contentType: "text/html; charset=utf-8" }
+};
+const MAX_IMPORT_CHATS = 1000;
+
+const CHAT_EXPORT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "CodeGoldenAI chat export",
+  type: "object",
+  required: ["format", "version", "chats"],
+  properties: {
+    format: { const: CHAT_EXPORT_FORMAT },
+    version: { const: CHAT_EXPORT_VERSION },
+    exportedAt: { type: "string", format: "date-time" },
+    chats: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["title", "messages"],
+        properties: {
+          id: { type: "string" },
+          title: { type: "string" },
+          model: { type: ["string", "null"], description: "Model id selected for the chat." },
+          createdAt: { type: ["string", "null"], format: "date-time" },
+          lastUpdated: { type: ["string", "null"], format: "date-time" },
+          messages: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["role", "content"],
+              properties: {
+                role: { enum: ["user", "assistant"] },
+                content: { type: "string", description: "Markdown text; code stays in ``` fences." },
+                model: { type: ["string", "null"], description: "Display name of the model that answered." },
+                timestamp: { type: ["string", "null"], format: "date-time" },
+                images: { type: "array", items: { type: "string" }, description: "Uploaded or generated image URLs." }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Share links: { [shareId]: { shareId, userId, chatId, createdAt } }. Shared
+// chats are rendered live, so later messages show up and revoking is instant.
+const chatShares = createJsonStore('chat-shares');
+
+// ChatGPT exports can be far larger than the JSON body limit
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 1 }
+});
+
+function modelName(model) {
+  return MODEL_REGISTRY[model]?.name || model || null;
+}
+
+function exportMessage(msg) {
+  const content = typeof msg.content === "string" ? msg.content : messageText(msg);
+  const generated = msg.role === "ai" && content.startsWith("IMAGE:");
+  const images = generated ? [content.slice(6)] : msg.imageUrl ? [msg.imageUrl] : [];
+
+  return {
+    role: msg.role === "ai" || msg.role === "assistant" ? "assistant" : "user",
+    content: generated ? "" : content,
+    model: msg.role === "ai" || msg.role === "assistant" ? modelName(msg.model) : null,
+    timestamp: msg.timestamp || null,
+    images
+  };
+}
+
+function exportChat(chat) {
+  return {
+    id: chat.id,
+    title: chat.title || "Untitled chat",
+    model: chat.model || null,
+    createdAt: chat.createdAt || null,
+    lastUpdated: chat.lastUpdated || null,
+    messages: activePath(chat).map(exportMessage)
+  };
+}
+
+function toExportJson(chats) {
+  return {
+    format: CHAT_EXPORT_FORMAT,
+    version: CHAT_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    chats: chats.map(exportChat)
+  };
+}
+
+function absoluteUrl(baseUrl, url) {
+  return url.startsWith("/") ? baseUrl + url : url;
+}
+
+function toMarkdown(chats, baseUrl) {
+  return chats.map(exportChat).map(chat => {
+    const lines = [`# ${chat.title}`, ""];
+    if (chat.createdAt) lines.push(`_Created ${chat.createdAt}_`, "");
+
+    for (const msg of chat.messages) {
+      const who = msg.role === "user" ? "You" : msg.model || "Assistant";
+      lines.push(`### ${who}${msg.timestamp ? ` · ${msg.timestamp}` : ""}`, "");
+      if (msg.content) lines.push(msg.content, "");
+      for (const image of msg.images) lines.push(`![Image](${absoluteUrl(baseUrl, image)})`, "");
+    }
+    return lines.join("\n");
+  }).join("\n---\n\n");
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Our own uploads and generated images are inlined as data URLs so the file
+// works offline; anything else keeps its (absolute) URL. Uploads are only
+// inlined for `userId`, the owner of the chats.
+async function embeddedImage(url, baseUrl, userId) {
+  const upload = url.startsWith("/uploads/") && authorizedUpload(url, userId);
+  if (upload?.kind === "image") {
+    const file = path.join(UPLOAD_DIR, upload.file);
+    if (fs.existsSync(file)) {
+      return `data:${upload.mimeType};base64,${(await fs.promises.readFile(file)).toString("base64")}`;
+    }
+  }
+
+  const generated = /^\/generated\/([^/]+)$/.exec(url);
+  if (generated) {
+    const file = path.join(GENERATED_DIR, path.basename(generated[1]));
+    const mimeType = IMAGE_MIME_TYPES[path.extname(file).toLowerCase()];
+    if (mimeType && fs.existsSync(file)) {
+      return `data:${mimeType};base64,${(await fs.promises.readFile(file)).toString("base64")}`;
+    }
+  }
+  return absoluteUrl(baseUrl, url);
+}
+
+// ``` fences become <pre><code>; the first line of a fence names the language
+function contentToHtml(content) {
+  return content.split("```").map((part, index) => {
+    if (index % 2 === 0) return part.trim() ? `<div class="text">${escapeHtml(part.trim())}</div>` : "";
+    const newline = part.indexOf("\n");
+    const language = newline > 0 ? part.slice(0, newline).trim() : "";
+    const code = newline >= 0 ? part.slice(newline + 1) : part;
+    return `<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ""}>${escapeHtml(code.replace(/\n$/, ""))}</code></pre>`;
+  }).join("");
+}
+
+async function toHtml(chats, baseUrl, title, userId) {
+  const sections = [];
+  for (const chat of chats.map(exportChat)) {
+    const messages = [];
+    for (const msg of chat.messages) {
+      const who = msg.role === "user" ? "You" : msg.model || "Assistant";
+      const images = await Promise.all(msg.images.map(async image =>
+        `<img src="${escapeHtml(await embeddedImage(image, baseUrl, userId))}" alt="Image">`));
+      messages.push(`<div class="message ${msg.role}">
+<div class="meta">${escapeHtml(who)}${msg.timestamp ? ` · ${escapeHtml(new Date(msg.timestamp).toLocaleString("en-US"))}` : ""}</div>
+${contentToHtml(msg.content)}${images.join("")}
+</div>`);
+    }
+    sections.push(`<section>
+<h1>${escapeHtml(chat.title)}</h1>
+${messages.join("\n")}
+</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 0 auto; padding: 20px; background: #0f172a; color: #e2e8f0; }
+h1 { color: #fbbf24; font-size: 22px; }
+section + section { border-top: 1px solid #334155; margin-top: 40px; }
+.message { padding: 12px 16px; border-radius: 12px; margin: 12px 0; }
+.message.user { background: #1e3a8a; margin-left: 60px; }
+.message.assistant { background: #1e293b; margin-right: 60px; }
+.meta { font-size: 12px; opacity: 0.7; margin-bottom: 6px; }
+.text { white-space: pre-wrap; }
+pre { background: #020617; padding: 12px; border-radius: 8px; overflow-x: auto; }
+img { max-width: 100%; border-radius: 8px; margin-top: 8px; }
+</style>
+</head>
+<body>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+async function sendChatExport(req, res, chats, fileName) {
+  const format = req.query.format || "markdown";
+  const type = CHAT_EXPORT_TYPES[format];
+  if (!type) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(CHAT_EXPORT_TYPES).join(", ")}.` });
+  }
+
+  const baseUrl = `${req.protocol}://${req.get("host")}`;
+  const body = format === "json"
+    ? JSON.stringify(toExportJson(chats), null, 2)
+    : format === "html"
+      ? await toHtml(chats, baseUrl, chats.length === 1 ? chats[0].title || "Chat" : "CodeGoldenAI chats", req.user.id)
+      : toMarkdown(chats, baseUrl);
+
+  res.set({
+    "Content-Type": type.contentType,
+    "Content-Disposition": `attachment; filename="${fileName}.${type.extension}"`
+  });
+  res.send(body);
+}
+
+function chatFileName(chat) {
+  return (chat.title || "").replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase().slice(0, 60) || "chat";
+}
+
+app.get("/api/chats/schema", (req, res) => {
+  res.json(CHAT_EXPORT_SCHEMA);
+});
+
+// ?format=markdown|json|html (default markdown)
+app.get("/api/chats/export", requireAuth, async (req, res) => {
+  try {
+    const { chats } = await chatStore.list(req.user.id, { limit: Infinity });
+    await sendChatExport(req, res, chats, `chats-${utcDay()}`);
+  } catch (err) {
+    log.error("Export chats error", { err });
+    res.status(500).json({ error: "Error exporting chats." });
+  }
+});
+
+app.get("/api/chats/:chatId/export", requireAuth, async (req, res) => {
+  try {
+    const chat = await chatStore.get(req.user.id, req.params.chatId);
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+    await sendChatExport(req, res, [chat], chatFileName(chat));
+  } catch (err) {
+    log.error("Export chat error", { err });
+    res.status(500).json({ error: "Error exporting chat." });
+  }
+});
+
+// Our export message -> the shape the chat UI stores
+function importMessage(msg) {
+  const role = msg.role === "assistant" ? "ai" : "user";
+  const image = Array.isArray(msg.images) && typeof msg.images[0] === "string" ? msg.images[0] : null;
+  const message = {
+    role,
+    content: String(msg.content ?? ""),
+    type: "text",
+    model: role === "ai" ? msg.model || null : null,
+    timestamp: msg.timestamp || new Date().toISOString()
+  };
+
+  if (image && role === "ai" && !message.content) message.content = `IMAGE:${image}`;
+  else if (image) Object.assign(message, { type: "image", imageUrl: image });
+  return message;
+}
+
+function parseOwnExport(data) {
+  if (data.version !== CHAT_EXPORT_VERSION || !Array.isArray(data.chats)) {
+    throw httpError(400, `Unsupported export: expected version ${CHAT_EXPORT_VERSION} with a chats array.`);
+  }
+  return data.chats.map(chat => {
+    if (!chat || !Array.isArray(chat.messages)) return null;
+    const messages = chat.messages
+      .filter(m => m && (m.role === "user" || m.role === "assistant") && (typeof m.content === "string" || m.images))
+      .map(importMessage);
+    return {
+      title: String(chat.title || "Imported chat").slice(0, 200),
+      model: typeof chat.model === "string" && Object.hasOwn(MODEL_REGISTRY, chat.model) ? chat.model : null,
+      createdAt: chat.createdAt || null,
+      messages
+    };
+  });
+}
+
+// ChatGPT's conversations.json: each conversation is a tree in `mapping`;
+// the visible thread is the path from `current_node` back to the root
+function parseChatGptExport(conversations) {
+  return conversations.map(conversation => {
+    if (!conversation?.mapping || typeof conversation.mapping !== "object") return null;
+
+    const thread = [];
+    const seen = new Set();
+    let nodeId = conversation.current_node;
+    while (nodeId && conversation.mapping[nodeId] && !seen.has(nodeId)) {
+      seen.add(nodeId);
+      thread.unshift(conversation.mapping[nodeId]);
+      nodeId = conversation.mapping[nodeId].parent;
+    }
+
+    const messages = [];
+    for (const { message } of thread) {
+      const role = message?.author?.role;
+      if (role !== "user" && role !== "assistant") continue;
+      if (message.metadata?.is_visually_hidden_from_conversation) continue;
+
+      const { content_type: contentType, parts, text, language } = message.content || {};
+      let content;
+      if (contentType === "text" || contentType === "multimodal_text") {
+        content = (parts || []).filter(part => typeof part === "string").join("\n");
+      } else if (contentType === "code") {
+        content = `\`\`\`${language && language !== "unknown" ? language : ""}\n${text || ""}\n\`\`\``;
+      }
+      if (!content?.trim()) continue;
+
+      messages.push({
+        role: role === "assistant" ? "ai" : "user",
+        content,
+        type: "text",
+        model: role === "assistant" ? message.metadata?.model_slug || "ChatGPT" : null,
+        timestamp: message.create_time ? new Date(message.create_time * 1000).toISOString() : new Date().toISOString()
+      });
+    }
+
+    return {
+      title: String(conversation.title || "Imported ChatGPT chat").slice(0, 200),
+      model: null,
+      createdAt: conversation.create_time ? new Date(conversation.create_time * 1000).toISOString() : null,
+      messages
+    };
+  });
+}
+
+// Accepts our export JSON or ChatGPT's conversations.json, either as the
+// request body or as a multipart upload (field "file"). Imported chats get
+// new ids, so importing twice never overwrites anything.
+app.post("/api/chats/import", requireAuth, (req, res) => {
+  keepRequestContext(importUpload.single("file"))(req, res, async err => {
+    if (err) {
+      return res.status(400).json({ error: err.code === "LIMIT_FILE_SIZE" ? "The file is larger than 50MB." : err.message });
+    }
+
+    try {
+      let data = req.body;
+      if (req.file) {
+        try {
+          data = JSON.parse(req.file.buffer.toString("utf8"));
+        } catch {
+          return res.status(400).json({ error: "The file is not valid JSON." });
+        }
+      }
+
+      let parsed;
+      if (data?.format === CHAT_EXPORT_FORMAT) {
+        parsed = parseOwnExport(data);
+      } else if (Array.isArray(data) || data?.mapping) {
+        parsed = parseChatGptExport(Array.isArray(data) ? data : [data]);
+      } else {
+        return res.status(400).json({ error: "Unrecognized format. Upload a CodeGoldenAI JSON export or ChatGPT's conversations.json." });
+      }
+      if (parsed.length > MAX_IMPORT_CHATS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_CHATS} chats can be imported at once.` });
+      }
+
+      const imported = [];
+      for (const chat of parsed) {
+        if (!chat?.messages.length) continue;
+        const now = new Date().toISOString();
+        const saved = await chatStore.put(req.user.id, {
+          ...normalizeChatTree({ messages: chat.messages }),
+          id: `chat_${crypto.randomUUID()}`,
+          title: chat.title,
+          model: chat.model || "gpt-5-mini",
+          createdAt: chat.createdAt || now,
+          lastUpdated: now
+        });
+        imported.push(chatSummary(saved));
+      }
+
+      res.json({ success: true, imported, skipped: parsed.length - imported.length });
+    } catch (err) {
+      if (err.expose) return res.status(err.status).json({ error: err.message });
+      log.error("Import chats error", { err });
+      res.status(500).json({ error: "Error importing chats." });
+    }
+  });
+});
+
+function findChatShare(userId, chatId) {
+  return Object.values(chatShares.data).find(share => share.userId === userId && share.chatId === chatId);
+}
+
+function shareSummary(share) {
+  return { shareId: share.shareId, url: `/share/${share.shareId}`, createdAt: share.createdAt };
+}
+
+app.get("/api/chats/:chatId/share", requireAuth, (req, res) => {
+  const share = findChatShare(req.user.id, req.params.chatId);
+  res.json({ share: share ? shareSummary(share) : null });
+});
+
+// Sharing an already shared chat returns the existing link
+app.post("/api/chats/:chatId/share", requireAuth, async (req, res) => {
+  try {
+    const chat = await chatStore.get(req.user.id, req.params.chatId);
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found." });
+    }
+
+    let share = findChatShare(req.user.id, chat.id);
+    if (!share) {
+      share = {
+        shareId: crypto.randomBytes(12).toString("base64url"),
+        userId: req.user.id,
+        chatId: chat.id,
+        createdAt: new Date().toISOString()
+      };
+      chatShares.data[share.shareId] = share;
+      chatShares.save();
+    }
+
+    res.json({ success: true, share: shareSummary(share) });
+  } catch (err) {
+    log.error("Share chat error", { err });
+    res.status(500).json({ error: "Error sharing chat." });
+  }
+});
+
+app.delete("/api/chats/:chatId/share", requireAuth, (req, res) => {
+  const share = findChatShare(req.user.id, req.params.chatId);
+  if (!share) {
+    return res.status(404).json({ error: "This chat is not shared." });
+  }
+
+  delete chatShares.data[share.shareId];
+  chatShares.save();
+  res.json({ success: true });
+});
+
+async function findSharedChat(shareId) {
+  const share = Object.hasOwn(chatShares.data, shareId) && chatShares.data[shareId];
+  const chat = share ? await chatStore.get(share.userId, share.chatId) : null;
+  return chat ? { share, chat } : null;
+}
+
+// Uploads are private, so the owner's images go out as signed URLs
+function sharedImageUrl(url, userId) {
+  const upload = url.startsWith("/uploads/") && authorizedUpload(url, userId);
+  return upload ? signedUploadUrl(upload.file) : url;
+}
+
+// Public, read-only views of a shared chat
+app.get("/api/shared-chats/:shareId", async (req, res) => {
+  try {
+    const shared = await findSharedChat(req.params.shareId);
+    if (!shared) {
+      return res.status(404).json({ error: "This link is no longer shared." });
+    }
+    const { id, ...chat } = exportChat(shared.chat);
+    chat.messages = chat.messages.map(msg => ({
+      ...msg,
+      images: msg.images.map(image => sharedImageUrl(image, shared.share.userId))
+    }));
+    res.json({ chat });
+  } catch (err) {
+    log.error("Shared chat error", { err });
+    res.status(500).json({ error: "Error loading shared chat." });
+  }
+});
+
+app.get("/share/:shareId", async (req, res) => {
+  try {
+    const shared = await findSharedChat(req.params.shareId);
+    if (!shared) {
+      return res.status(404).send("This link is no longer shared.");
+    }
+    const { share, chat } = shared;
+    res.set("X-Robots-Tag", "noindex");
+    res.type("html").send(await toHtml([chat], `${req.protocol}://${req.get("host")}`, chat.title || "Shared chat", share.userId));
+  } catch (err) {
+    log.error("Shared chat error", { err });
+    res.status(500).send("Error loading shared chat.");
+  }
+});
+
+// ================== PROFILES & PRESETS ==================
+
+// Per-user profile: { [userId]: { customInstructions, defaultPresetId, updatedAt } }
+const profiles = createJsonStore('profiles');
+
+// Persona presets keyed by id: { id, userId, name, description, systemPrompt,
+// shareId, createdAt, updatedAt }. `shareId` is set while a share link is active.
+const presets = createJsonStore('presets');
+
+const MAX_PRESETS_PER_USER = 50;
+const MAX_PROMPT_LENGTH = 8000;
+
+function profileFor(userId) {
+  return profiles.data[userId] || { customInstructions: "", defaultPresetId: null };
+}
+
+function findOwnPreset(userId, presetId) {
+  const preset = presets.data[presetId];
+  return preset && preset.userId === userId ? preset : null;
+}
+
+function presetSummary(preset) {
+  const { userId, ...summary } = preset;
+  return { ...summary, shareUrl: preset.shareId ? `/Ultra-AI.html?preset=${preset.shareId}` : null };
+}
+
+function parsePresetFields(body, { partial = false } = {}) {
+  const fields = {};
+  for (const [key, max] of [["name", 80], ["description", 300], ["systemPrompt", MAX_PROMPT_LENGTH]]) {
+    if (body[key] === undefined && partial) continue;
+    const value = typeof body[key] === "string" ? body[key].trim() : "";
+    if (value.length > max) throw httpError(400, `${key} is too long (max ${max} characters).`);
+    fields[key] = value;
+  }
+  if ((!partial || fields.name !== undefined) && !fields.name) throw httpError(400, "Preset name is required.");
+  if ((!partial || fields.systemPrompt !== undefined) && !fields.systemPrompt) throw httpError(400, "Preset prompt is required.");
+  return fields;
+}
+
+// Picks the preset for a chat request: an explicit `presetId` (null = none),
+// else the one attached to the saved chat, else the user's default. Returns
+// the preset (or null) and the instructions to merge into the system prompt.
+async function resolveInstructions(user, { presetId, chatId } = {}) {
+  const profile = profileFor(user.id);
+
+  let preset = null;
+  if (typeof presetId === "string") {
+    preset = findOwnPreset(user.id, presetId);
+    if (!preset) throw httpError(404, "Preset not found.");
+  } else if (presetId !== null) {
+    const chat = isValidChatId(chatId) ? await chatStore.get(user.id, chatId) : null;
+    preset = findOwnPreset(user.id, chat?.presetId) || findOwnPreset(user.id, profile.defaultPresetId);
+  }
+
+  return {
+    preset,
+    instructions: [
+      preset?.systemPrompt,
+      profile.customInstructions && `Custom instructions from the user:\n${profile.customInstructions}`
+    ].filter(Boolean)
+  };
+}
+
+app.get("/api/profile", requireAuth, (req, res) => {
+  res.json({ success: true, profile: profileFor(req.user.id) });
+});
+
+app.put("/api/profile", requireAuth, (req, res) => {
+  const { customInstructions, defaultPresetId } = req.body;
+  const profile = { ...profileFor(req.user.id) };
+
+  if (customInstructions !== undefined) {
+    if (typeof customInstructions !== "string" || customInstructions.length > MAX_PROMPT_LENGTH) {
+      return res.status(400).json({ error: `customInstructions must be text of at most ${MAX_PROMPT_LENGTH} characters.` });
+    }
+    profile.customInstructions = customInstructions.trim();
+  }
+  if (defaultPresetId !== undefined) {
+    if (defaultPresetId !== null && !findOwnPreset(req.user.id, defaultPresetId)) {
+      return res.status(404).json({ error: "Preset not found." });
+    }
+    profile.defaultPresetId = defaultPresetId;
+  }
+
+  profile.updatedAt = new Date().toISOString();
+  profiles.data[req.user.id] = profile;
+  profiles.save();
+
+  res.json({ success: true, profile });
+});
+
+app.get("/api/presets", requireAuth, (req, res) => {
+  const list = Object.values(presets.data)
+    .filter(p => p.userId === req.user.id)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(presetSummary);
+
+  res.json({ success: true, presets: list, defaultPresetId: profileFor(req.user.id).defaultPresetId });
+});
+
+function createPreset(userId, fields) {
+  const count = Object.values(presets.data).filter(p => p.userId === userId).length;
+  if (count >= MAX_PRESETS_PER_USER) {
+    throw httpError(400, `You can keep up to ${MAX_PRESETS_PER_USER} presets.`);
+  }
+
+  const now = new Date().toISOString();
+  const preset = { id: crypto.randomUUID(), userId, ...fields, shareId: null, createdAt: now, updatedAt: now };
+  presets.data[preset.id] = preset;
+  presets.save();
+  return preset;
+}
+
+app.post("/api/presets", requireAuth, (req, res) => {
+  try {
+    const preset = createPreset(req.user.id, parsePresetFields(req.body));
+    res.json({ success: true, preset: presetSummary(preset) });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Create preset error", { err });
+    res.status(500).json({ error: "Error creating preset." });
+  }
+});
+
+app.patch("/api/presets/:id", requireAuth, (req, res) => {
+  try {
+    const preset = findOwnPreset(req.user.id, req.params.id);
+    if (!preset) return res.status(404).json({ error: "Preset not found." });
+
+    Object.assign(preset, parsePresetFields(req.body, { partial: true }), { updatedAt: new Date().toISOString() });
+    presets.save();
+    res.json({ success: true, preset: presetSummary(preset) });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Update preset error", { err });
+    res.status(500).json({ error: "Error updating preset." });
+  }
+});
+
+app.delete("/api/presets/:id", requireAuth, (req, res) => {
+  const preset = findOwnPreset(req.user.id, req.params.id);
+  if (!preset) return res.status(404).json({ error: "Preset not found." });
+
+  delete presets.data[preset.id];
+  presets.save();
+
+  const profile = profiles.data[req.user.id];
+  if (profile?.defaultPresetId === preset.id) {
+    profile.defaultPresetId = null;
+    profiles.save();
+  }
+  res.json({ success: true });
+});
+
+// Share links are unguessable ids; revoking clears the id so old links stop working
+app.post("/api/presets/:id/share", requireAuth, (req, res) => {
+  const preset = findOwnPreset(req.user.id, req.params.id);
+  if (!preset) return res.status(404).json({ error: "Preset not found." });
+
+  preset.shareId ||= crypto.randomBytes(12).toString("base64url");
+  presets.save();
+  res.json({ success: true, preset: presetSummary(preset) });
+});
+
+app.delete("/api/presets/:id/share", requireAuth, (req, res) => {
+  const preset = findOwnPreset(req.user.id, req.params.id);
+  if (!preset) return res.status(404).json({ error: "Preset not found." });
+
+  preset.shareId = null;
+  presets.save();
+  res.json({ success: true, preset: presetSummary(preset) });
+});
+
+function findSharedPreset(shareId) {
+  return Object.values(presets.data).find(p => p.shareId && p.shareId === shareId);
+}
+
+// Anyone with the link can view a shared preset
+app.get("/api/shared-presets/:shareId", (req, res) => {
+  const preset = findSharedPreset(req.params.shareId);
+  if (!preset) return res.status(404).json({ error: "Shared preset not found." });
+
+  const { name, description, systemPrompt } = preset;
+  res.json({ success: true, preset: { name, description, systemPrompt } });
+});
+
+// Copies a shared preset into the caller's own presets
+app.post("/api/shared-presets/:shareId/copy", requireAuth, (req, res) => {
+  try {
+    const shared = findSharedPreset(req.params.shareId);
+    if (!shared) return res.status(404).json({ error: "Shared preset not found." });
+
+    const { name, description, systemPrompt } = shared;
+    const preset = createPreset(req.user.id, { name, description, systemPrompt });
+    res.json({ success: true, preset: presetSummary(preset) });
+  } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Copy preset error", { err });
+    res.status(500).json({ error: "Error copying preset." });
+  }
+});
+
+// ================== DEEP RESEARCH ==================
+
+// Research sources. A retriever exposes
+//   async search(query, { limit }) -> [{ title, source, snippet }]
+// and is chosen with RESEARCH_RETRIEVER, like CHAT_STORE for chats.
+const RESEARCH_CORPUS_DIR = process.env.RESEARCH_CORPUS_DIR || path.join(DATA_DIR, 'corpus');
+const CORPUS_EXTENSIONS = [".md", ".markdown", ".txt", ".html", ".htm", ".json", ".csv"];
+
+const STOP_WORDS = new Set(("a an and are as at be by for from has have how in is it its of on or " +
+  "that the this to was what when where which who why will with does do can").split(" "));
+
+// Lowercased words; camelCase identifiers also yield their parts so code
+// matches natural-language queries
+function tokenize(text) {
+  return (text.match(/[\p{L}\p{N}]+/gu) || [])
+    .flatMap(word => {
+      const parts = word.split(/(?<=\p{Ll})(?=\p{Lu})/u);
+      return parts.length > 1 ? [word, ...parts] : [word];
+    })
+    .map(word => word.toLowerCase())
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+// Split text into ~`size`-character chunks on paragraph boundaries
+function chunkText(text, size = 1200) {
+  const chunks = [];
+  let current = "";
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+    if (current && current.length + trimmed.length > size) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${trimmed}` : trimmed;
+    while (current.length > size * 1.5) {
+      chunks.push(current.slice(0, size));
+      current = current.slice(size);
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Keyword index over chunks: [{ ..., terms: Map(term -> count), length }]
+function buildKeywordIndex(chunks) {
+  const docFreq = new Map();
+  const entries = chunks.map(chunk => {
+    const terms = new Map();
+    const words = tokenize(chunk.text);
+    for (const word of words) terms.set(word, (terms.get(word) || 0) + 1);
+    for (const term of terms.keys()) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    return { ...chunk, terms, length: words.length };
+  });
+  const avgLength = entries.reduce((sum, e) => sum + e.length, 0) / (entries.length || 1);
+  return { entries, docFreq, avgLength };
+}
+
+// BM25 ranking of indexed chunks against a query
+function searchKeywordIndex(index, query, limit) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const total = index.entries.length;
+
+  return index.entries
+    .map(entry => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = entry.terms.get(term);
+        if (!tf) continue;
+        const df = index.docFreq.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score += idf * (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * entry.length / (index.avgLength || 1)));
+      }
+      return { entry, score };
+    })
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(r => r.entry);
+}
+
+function listCorpusFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(item => {
+    const full = path.join(dir, item.name);
+    if (item.isDirectory()) return listCorpusFiles(full);
+    return CORPUS_EXTENSIONS.includes(path.extname(item.name).toLowerCase()) ? [full] : [];
+  });
+}
+
+const researchRetrievers = {
+  // Default: text files under RESEARCH_CORPUS_DIR, ranked by keyword match.
+  // The index is rebuilt whenever a file is added, removed or modified.
+  local() {
+    let cached = { signature: null, index: null };
+
+    function loadIndex() {
+      const files = listCorpusFiles(RESEARCH_CORPUS_DIR);
+      const stats = files.map(file => [file, fs.statSync(file).mtimeMs]);
+      const signature = JSON.stringify(stats);
+      if (cached.signature === signature) return cached.index;
+
+      const chunks = files.flatMap(file => {
+        let text = fs.readFileSync(file, 'utf8');
+        if (/\.html?$/i.test(file)) text = text.replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, "").replace(/<[^>]+>/g, " ");
+        const title = path.relative(RESEARCH_CORPUS_DIR, file);
+        return chunkText(text).map((chunk, i) => ({ title, source: `corpus:${title}#${i + 1}`, text: chunk }));
+      });
+      cached = { signature, index: buildKeywordIndex(chunks) };
+      return cached.index;
+    }
+
+    return {
+      async search(query, { limit = 4 } = {}) {
+        return searchKeywordIndex(loadIndex(), query, limit)
+          .map(({ title, source, text }) => ({ title, source, snippet: text }));
+      }
+    };
+  }
+};
+
+const RESEARCH_RETRIEVER = process.env.RESEARCH_RETRIEVER || "local";
+if (!researchRetrievers[RESEARCH_RETRIEVER]) {
+  throw new Error(`Unknown RESEARCH_RETRIEVER "${RESEARCH_RETRIEVER}".`);
+}
+const researchRetriever = researchRetrievers[RESEARCH_RETRIEVER]();
+
+const RESEARCH_DEFAULT_MODEL = "gpt-5-mini";
+const RESEARCH_MAX_SUBQUESTIONS = 5;
+const RESEARCH_SOURCES_PER_QUESTION = 4;
+
+const RESEARCH_PLAN_PROMPT = `You plan research. Break the user's question into 3 to ${RESEARCH_MAX_SUBQUESTIONS} focused sub-questions that together cover it.
+Reply with JSON only: {"subQuestions": ["...", "..."]}`;
+
+const RESEARCH_ANSWER_PROMPT = `You are a careful research assistant. Answer the sub-question using the numbered sources provided.
+Cite sources inline as [n] using their numbers. If the sources don't cover something, say so and answer from general knowledge without a citation.`;
+
+const RESEARCH_REPORT_PROMPT = `You write research reports in Markdown. Using the findings provided, write a well-structured report that answers the original question:
+a short summary, a section per theme, and a conclusion. Keep the [n] citations from the findings next to the claims they support. Do not add a source list; it is appended for you.`;
+
+// Planner replies are JSON, but fall back to one sub-question per line
+function parseSubQuestions(text, question) {
+  let subQuestions = [];
+  try {
+    const json = JSON.parse(text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1));
+    if (Array.isArray(json.subQuestions)) subQuestions = json.subQuestions;
+  } catch {
+    subQuestions = text.split("\n").map(line => line.replace(/^\s*(?:[-*]|\d+[.)])\s*/, "").trim())
+      .filter(line => line.endsWith("?"));
+  }
+  subQuestions = subQuestions.filter(q => typeof q === "string" && q.trim()).map(q => q.trim());
+  return subQuestions.length ? subQuestions.slice(0, RESEARCH_MAX_SUBQUESTIONS) : [question];
+}
+
+function addUsage(total, usage = {}) {
+  for (const key of ["promptTokens", "completionTokens", "totalTokens"]) {
+    total[key] += usage[key] || 0;
+  }
+}
+
+// Plan -> retrieve -> answer each sub-question -> synthesize. `models` are
+// used round-robin for the sub-answers; `model` plans and writes the report.
+// Progress is reported through onProgress(event, data).
+async function runResearch(userId, question, { model, models, retriever = researchRetriever, onProgress = () => {}, onDelta, signal }) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const track = result => {
+    recordUsage(userId, result.modelId, result.usage || {});
+    addUsage(usage, result.usage);
+    return result;
+  };
+
+  onProgress("progress", { step: "planning" });
+  const plan = track(await generateChat(model, [
+    { role: "system", content: RESEARCH_PLAN_PROMPT },
+    { role: "user", content: question }
+  ], { signal }));
+  const subQuestions = parseSubQuestions(plan.text || "", question);
+  onProgress("plan", { subQuestions });
+
+  // Number sources across the whole report so citations stay unique
+  const sources = [];
+  const retrieved = [];
+  for (const subQuestion of subQuestions) {
+    const hits = await retriever.search(subQuestion, { limit: RESEARCH_SOURCES_PER_QUESTION });
+    retrieved.push(hits.map(hit => {
+      let number = sources.findIndex(s => s.source === hit.source) + 1;
+      if (!number) number = sources.push({ ...hit, number: sources.length + 1 });
+      return number;
+    }));
+  }
+  onProgress("progress", { step: "retrieved", sources: sources.length });
+
+  let completed = 0;
+  const findings = await Promise.all(subQuestions.map(async (subQuestion, i) => {
+    const modelId = models[i % models.length];
+    const context = retrieved[i].length
+      ? retrieved[i].map(n => `[${n}] ${sources[n - 1].title}\n${sources[n - 1].snippet}`).join("\n\n")
+      : "No sources were found for this sub-question.";
+    const result = track(await generateChat(modelId, [
+      { role: "system", content: RESEARCH_ANSWER_PROMPT },
+      { role: "user", content: `Sources:\n${context}\n\nSub-question: ${subQuestion}` }
+    ], { signal }));
+
+    completed++;
+    onProgress("subanswer", { index: i, subQuestion, model: result.modelId, completed, total: subQuestions.length });
+    return { subQuestion, answer: result.text || "", model: result.modelId, sources: retrieved[i] };
+  }));
+
+  onProgress("progress", { step: "synthesizing" });
+  const report = track(await generateChat(model, [
+    { role: "system", content: RESEARCH_REPORT_PROMPT },
+    {
+      role: "user",
+      content: `Original question: ${question}\n\n` +
+        findings.map((f, i) => `Finding ${i + 1} — ${f.subQuestion}\n${f.answer}`).join("\n\n")
+    }
+  ], { signal, onDelta }));
+
+  const sourceList = sources.length
+    ? "\n\n## Sources\n" + sources.map(s => `[${s.number}] ${s.title} (${s.source})`).join("\n")
+    : "";
+
+  return {
+    question,
+    report: (report.text || "") + sourceList,
+    subQuestions: findings,
+    sources: sources.map(({ number, title, source }) => ({ number, title, source })),
+    model: report.modelId,
+    usage
+  };
+}
+
+// Append the question and finished report to the saved chat's current
+// branch, creating the chat if the client hasn't synced it yet
+async function saveResearchToChat(userId, chatId, result) {
+  const now = new Date().toISOString();
+  const chat = await chatStore.get(userId, chatId) || {
+    id: chatId,
+    title: result.question.length > 30 ? result.question.substring(0, 30) + '...' : result.question,
+    messages: [],
+    createdAt: now
+  };
+
+  // The client usually syncs the question before the report is ready
+  const last = activePath(chat).at(-1);
+  const asked = last?.role === "user" && last.content === result.question;
+
+  const updated = appendToBranch(chat,
+    ...(asked ? [] : [{ role: "user", content: result.question, type: "text", isDeepSearch: true, timestamp: now }]),
+    {
+      role: "ai",
+      content: result.report,
+      type: "text",
+      isDeepSearch: true,
+      model: result.model,
+      research: { subQuestions: result.subQuestions.map(f => f.subQuestion), sources: result.sources },
+      timestamp: now
+    }
+  );
+  updated.lastUpdated = now;
+  await chatStore.put(userId, updated);
+}
+
+// Runs a research job. With ?stream=1 (or Accept: text/event-stream) the
+// client gets `progress`, `plan`, `subanswer` and report `delta` events
+// followed by `done`; otherwise one JSON response when the report is ready.
+app.post("/api/research", requireFeature("advanced"), enforceLimits("chat"), async (req, res) => {
+  const asked = typeof req.body.question === "string" ? req.body.question.trim() : "";
+  if (!asked) {
+    return res.status(400).json({ error: "No question provided." });
+  }
+
+  let input;
+  try {
+    input = await moderateInput(req, asked, "research");
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  const question = redactText(asked, input.redactions);
+
+  const model = req.body.model || RESEARCH_DEFAULT_MODEL;
+  const models = Array.isArray(req.body.models) && req.body.models.length ? req.body.models : [model];
+  const unknown = [model, ...models].find(id => !Object.hasOwn(MODEL_REGISTRY, id));
+  if (unknown) {
+    return res.status(400).json({ error: `Unknown model "${unknown}".` });
+  }
+
+  const { chatId } = req.body;
+  if (chatId !== undefined && !isValidChatId(chatId)) {
+    return res.status(400).json({ error: "Invalid chat ID." });
+  }
+
+  // documentIds researches the user's knowledge base instead of the default retriever
+  let retriever = researchRetriever;
+  if (req.body.documentIds !== undefined) {
+    try {
+      retriever = knowledgeRetriever(req.user.id, findUserDocuments(req.user.id, req.body.documentIds));
+    } catch (err) {
+      return res.status(err.status).json({ error: err.message });
     }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
   }
+
+  const streaming = wantsEventStream(req);
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = streaming ? openEventStream(res) : null;
+
+  try {
+    const result = await runResearch(req.user.id, question, {
+      model,
+      models,
+      retriever,
+      signal: controller.signal,
+      onProgress: send || undefined,
+      onDelta: send ? text => send("delta", { text }) : undefined
+    });
+    // The report and the sub-answers returned with it are checked as one text
+    const output = await moderate(req, [result.report, ...result.subQuestions.map(f => f.answer)].join("\n\n"), {
+      stage: "output",
+      route: "research",
+      model: result.model
+    });
+    const moderated = text => output.action === "block" ? WITHHELD_TEXT : redactText(text, output.redactions);
+    result.report = moderated(result.report);
+    result.subQuestions = result.subQuestions.map(f => ({ ...f, answer: moderated(f.answer) }));
+    const moderation = moderationNotice(input, output);
+    if (chatId) await saveResearchToChat(req.user.id, chatId, result);
+
+    if (!streaming) return res.json({ success: true, chatId, ...result, ...(moderation && { moderation }) });
+    send("done", { chatId, ...result, ...(moderation && { moderation }) });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    const error = err.expose ? { error: err.message } : { error: "Error running research.", details: err.message };
+    if (!err.expose) log.error("Research error", { err });
+    if (!streaming) return res.status(err.expose ? err.status : 500).json(error);
+    send("error", error);
+  }
+  res.end();
 });
 
-const upload = multer({ 
-  storage: storage,
+// ================== KNOWLEDGE BASE ==================
+
+// Per-user document collections for retrieval-augmented answers. Uploads are
+// extracted to text, split into line-anchored chunks and ranked with the
+// keyword index from DEEP RESEARCH (plus embeddings when enabled).
+// Metadata lives in the `knowledge` store keyed by document id; chunks are
+// written to KNOWLEDGE_DIR/<userId>/<documentId>.json.
+const KNOWLEDGE_DIR = path.join(DATA_DIR, 'knowledge');
+const knowledgeDocs = createJsonStore('knowledge');
+
+const KNOWLEDGE_MAX_DOCUMENTS = 100;
+const KNOWLEDGE_MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const KNOWLEDGE_MAX_TEXT_BYTES = 50 * 1024 * 1024; // extracted, per document
+const KNOWLEDGE_MAX_FILES = 5000; // per archive
+const KNOWLEDGE_CHUNK_CHARS = 1200;
+const KNOWLEDGE_SNIPPETS = 6;
+
+// Set to an OpenAI embedding model (e.g. text-embedding-3-small) to embed
+// chunks at upload and rank with keyword + vector search combined
+const KNOWLEDGE_EMBEDDINGS = process.env.KNOWLEDGE_EMBEDDINGS || "";
+const KNOWLEDGE_EMBEDDING_DIMENSIONS = 256;
+
+const TEXT_EXTENSIONS = new Set([
+  ".md", ".markdown", ".txt", ".rst", ".adoc", ".csv", ".json", ".yaml", ".yml", ".toml", ".ini", ".xml",
+  ".html", ".htm", ".css", ".scss", ".less",
+  ".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx", ".vue", ".svelte",
+  ".py", ".rb", ".php", ".go", ".rs", ".java", ".kt", ".kts", ".scala", ".swift", ".dart",
+  ".c", ".h", ".cc", ".cpp", ".hpp", ".cs", ".m", ".lua", ".r", ".pl", ".ex", ".exs", ".erl", ".hs", ".clj",
+  ".sh", ".bash", ".zsh", ".ps1", ".sql", ".graphql", ".proto", ".gradle", ".env.example"
+]);
+const TEXT_FILENAMES = new Set(["Dockerfile", "Makefile", "README", "LICENSE", "Procfile", "Gemfile"]);
+const SKIPPED_DIRS = new Set(["node_modules", ".git", "vendor", "dist", "build", "__pycache__", ".venv", ".next", "target"]);
+
+const knowledgeUpload = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: KNOWLEDGE_MAX_UPLOAD_BYTES,
+    files: 10
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (knowledgeKind(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed!'), false);
+      cb(new Error('Upload PDFs, Markdown, text or source files, or a .zip / .tar.gz archive.'), false);
     }
   }
 });
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+function knowledgeKind(filename) {
+  const name = filename.toLowerCase();
+  if (name.endsWith(".pdf")) return "pdf";
+  if (name.endsWith(".zip")) return "zip";
+  if (name.endsWith(".tar.gz") || name.endsWith(".tgz") || name.endsWith(".tar")) return "tar";
+  return isTextPath(filename) ? "text" : null;
+}
 
-// Sessions
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || "supersecret",
-    resave: false,
-    saveUninitialized: false,
-  })
-);
+function isTextPath(filePath) {
+  const parts = filePath.split("/");
+  if (parts.some(part => SKIPPED_DIRS.has(part))) return false;
+  const base = parts[parts.length - 1];
+  return TEXT_FILENAMES.has(base) || TEXT_EXTENSIONS.has(path.extname(base).toLowerCase());
+}
 
-// Passport setup
-app.use(passport.initialize());
-app.use(passport.session());
+// Files with NUL bytes near the start are treated as binary
+function decodeText(buffer) {
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+  return buffer.toString("utf8");
+}
 
-passport.use(
-  new GoogleStrategy(
-    {
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: "https://codegoldenai.onrender.com/auth/google/callback",
-    },
-    (accessToken, refreshToken, profile, done) => {
-      return done(null, profile);
-    }
-  )
-);
+// Reads a .zip archive: [{ path, data }]. Counterpart of createZip().
+function readZip(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw httpError(400, "Not a valid zip archive.");
 
-passport.serializeUser((user, done) => {
-  done(null, user);
-});
-passport.deserializeUser((obj, done) => {
-  done(null, obj);
-});
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = [];
+  let total = 0;
 
-// Google login routes
-app.get("/auth/google",
-  passport.authenticate("google", { scope: ["profile", "email"] })
-);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw httpError(400, "Corrupt zip archive.");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
 
-app.get(
-  "/auth/google/callback",
-  passport.authenticate("google", {
-    failureRedirect: "/login.html",
-    successRedirect: "/index.html",
-  })
-);
+    if (name.endsWith("/") || !isTextPath(name)) continue;
+    if (files.length >= KNOWLEDGE_MAX_FILES) break;
 
-// Serve static frontend files
-app.use(express.static(path.join(__dirname)));
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+    total += size;
+    if (total > KNOWLEDGE_MAX_TEXT_BYTES) throw httpError(413, "Archive is too large once extracted.");
 
-// Default route → login.html
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "login.html"));
-});
+    if (method === 0) files.push({ path: name, data: raw });
+    else if (method === 8) files.push({ path: name, data: zlib.inflateRawSync(raw, { maxOutputLength: size || 1 }) });
+  }
+  return files;
+}
+
+// Reads a .tar or .tar.gz archive: [{ path, data }]
+function readTar(buffer) {
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: KNOWLEDGE_MAX_TEXT_BYTES * 2 });
+    } catch {
+      throw httpError(413, "Archive is too large once extracted.");
+    }
+  }
 
+  const files = [];
+  let longName = null;
+  for (let offset = 0; offset + 512 <= buffer.length && files.length < KNOWLEDGE_MAX_FILES;) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
 
-// ================== AI ROUTES ==================
+    const field = (start, length) => header.toString("utf8", start, start + length).replace(/\0.*$/s, "");
+    const size = parseInt(field(124, 12).trim() || "0", 8);
+    const type = field(156, 1) || "0";
+    const prefix = field(345, 155);
+    const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
 
-// Playground (GPT-4o-mini)
-app.post("/api/generate-playground", async (req, res) => {
+    if (type === "L") {
+      longName = data.toString("utf8").replace(/\0.*$/s, "");
+      continue;
+    }
+    longName = null;
+    if (type === "0" && isTextPath(name)) files.push({ path: name.replace(/^\.\//, ""), data });
+  }
+  return files;
+}
+
+async function extractPdf(buffer) {
+  const parser = new PDFParse({ data: buffer });
   try {
-    const { prompt } = req.body;
-    if (!prompt) return res.status(400).json({ error: "No prompt provided." });
+    const result = await parser.getText();
+    return result.pages.map(page => ({ page: page.num, text: page.text }));
+  } catch {
+    throw httpError(400, "Could not read this PDF.");
+  } finally {
+    await parser.destroy();
+  }
+}
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.7,
+// Splits text into chunks of whole lines, remembering the line range (and
+// page, for PDFs) so answers can cite where a snippet came from
+function chunkLines(filePath, text, page) {
+  const chunks = [];
+  const lines = text.split("\n");
+  let start = 0;
+  let current = [];
+  let size = 0;
+
+  lines.forEach((line, i) => {
+    if (current.length && size + line.length > KNOWLEDGE_CHUNK_CHARS) {
+      chunks.push({ path: filePath, page, startLine: start + 1, endLine: i, text: current.join("\n") });
+      start = i;
+      current = [];
+      size = 0;
+    }
+    current.push(line.slice(0, KNOWLEDGE_CHUNK_CHARS * 2));
+    size += line.length + 1;
+  });
+  if (current.join("").trim()) {
+    chunks.push({ path: filePath, page, startLine: start + 1, endLine: lines.length, text: current.join("\n") });
+  }
+  return chunks.filter(chunk => chunk.text.trim());
+}
+
+async function extractDocument(file) {
+  const kind = knowledgeKind(file.originalname);
+
+  if (kind === "pdf") {
+    const pages = await extractPdf(file.buffer);
+    return { kind, files: 1, chunks: pages.flatMap(p => chunkLines(file.originalname, p.text, p.page)) };
+  }
+
+  if (kind === "text") {
+    const text = decodeText(file.buffer);
+    if (text === null) throw httpError(400, `${file.originalname} looks like a binary file.`);
+    return { kind, files: 1, chunks: chunkLines(file.originalname, text) };
+  }
+
+  const entries = kind === "zip" ? readZip(file.buffer) : readTar(file.buffer);
+  const chunks = [];
+  let files = 0;
+  for (const entry of entries) {
+    const text = decodeText(entry.data);
+    if (text === null) continue;
+    files++;
+    chunks.push(...chunkLines(entry.path, text));
+  }
+  if (!files) throw httpError(400, "The archive contains no text or source files.");
+  return { kind, files, chunks };
+}
+
+async function embedTexts(userId, texts) {
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  const vectors = [];
+  let tokens = 0;
+  for (let i = 0; i < texts.length; i += 96) {
+    const response = await openai.embeddings.create({
+      model: KNOWLEDGE_EMBEDDINGS,
+      input: texts.slice(i, i + 96).map(t => t.slice(0, 8000)),
+      dimensions: KNOWLEDGE_EMBEDDING_DIMENSIONS
     });
+    tokens += response.usage?.total_tokens || 0;
+    vectors.push(...response.data.map(d => d.embedding.map(x => Math.round(x * 1e4) / 1e4)));
+  }
+  recordUsage(userId, "embeddings", { promptTokens: tokens, totalTokens: tokens });
+  return vectors;
+}
 
-    res.json({ text: completion.choices[0]?.message?.content || "No response." });
-  } catch (err) {
-    console.error("Playground error:", err);
-    res.status(500).json({ error: "Error generating response." });
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(na * nb) || 1);
+}
+
+function chunkFile(doc) {
+  return path.join(KNOWLEDGE_DIR, doc.userId, `${doc.id}.json`);
+}
+
+function writeChunks(doc, chunks) {
+  const file = chunkFile(doc);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(chunks));
+  fs.renameSync(tmp, file);
+}
+
+// Keyword indexes for recently searched document sets (memory only)
+const knowledgeIndexCache = new Map();
+
+function knowledgeIndex(docs) {
+  const key = docs.map(d => d.id).sort().join(",");
+  if (knowledgeIndexCache.has(key)) return knowledgeIndexCache.get(key);
+
+  const chunks = docs.flatMap(doc =>
+    JSON.parse(fs.readFileSync(chunkFile(doc), 'utf8')).map(chunk => ({ ...chunk, documentId: doc.id, document: doc.name })));
+  const index = buildKeywordIndex(chunks);
+
+  knowledgeIndexCache.set(key, index);
+  if (knowledgeIndexCache.size > 20) knowledgeIndexCache.delete(knowledgeIndexCache.keys().next().value);
+  return index;
+}
+
+function forgetKnowledgeIndexes(documentId) {
+  for (const key of knowledgeIndexCache.keys()) {
+    if (key.split(",").includes(documentId)) knowledgeIndexCache.delete(key);
+  }
+}
+
+// The caller's documents by id; unknown or foreign ids are a 404
+function findUserDocuments(userId, documentIds) {
+  if (!Array.isArray(documentIds) || !documentIds.length) {
+    throw httpError(400, "documentIds must be a non-empty array.");
+  }
+  return [...new Set(documentIds)].map(id => {
+    const doc = knowledgeDocs.data[id];
+    if (!doc || doc.userId !== userId) throw httpError(404, `Document "${id}" not found.`);
+    return doc;
+  });
+}
+
+// Ranks chunks of `docs` against `query`. With embeddings on (and every
+// document embedded) keyword and vector rankings are merged by reciprocal rank.
+async function searchKnowledge(userId, docs, query, limit = KNOWLEDGE_SNIPPETS) {
+  const index = knowledgeIndex(docs);
+  const keyword = searchKeywordIndex(index, query, limit * 4);
+  if (!KNOWLEDGE_EMBEDDINGS || !docs.every(d => d.embedded)) return keyword.slice(0, limit);
+
+  const [queryVector] = await embedTexts(userId, [query]);
+  const semantic = index.entries
+    .filter(e => e.vector)
+    .map(entry => ({ entry, score: cosine(queryVector, entry.vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit * 4)
+    .map(r => r.entry);
+
+  const scores = new Map();
+  for (const ranking of [keyword, semantic]) {
+    ranking.forEach((entry, rank) => scores.set(entry, (scores.get(entry) || 0) + 1 / (60 + rank)));
   }
+  return [...scores.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([entry]) => entry);
+}
+
+function citationLabel(chunk) {
+  const where = chunk.page ? `page ${chunk.page}` : `lines ${chunk.startLine}-${chunk.endLine}`;
+  return chunk.path === chunk.document ? `${chunk.document}, ${where}` : `${chunk.document}: ${chunk.path}, ${where}`;
+}
+
+function toCitation(chunk, number) {
+  const { documentId, document, path: filePath, page, startLine, endLine } = chunk;
+  return { number, documentId, document, path: filePath, page, startLine, endLine, label: citationLabel(chunk) };
+}
+
+// For chat routes: numbered excerpts for the latest user message as an
+// extra system instruction, plus the citations to return with the reply
+async function knowledgeContext(userId, documentIds, messages) {
+  if (documentIds === undefined || (Array.isArray(documentIds) && !documentIds.length)) return null;
+
+  const docs = findUserDocuments(userId, documentIds);
+  const lastUser = [...messages].reverse().find(m => m.role !== "system" && m.role !== "ai" && m.role !== "assistant");
+  const query = lastUser ? messageText(lastUser) : "";
+  const hits = await searchKnowledge(userId, docs, query);
+
+  return {
+    citations: hits.map((hit, i) => toCitation(hit, i + 1)),
+    instruction: hits.length
+      ? "Answer using these excerpts from the user's documents where relevant and cite them inline as [n]. " +
+        "If they don't contain the answer, say so before answering from general knowledge.\n\n" +
+        hits.map((hit, i) => `[${i + 1}] ${citationLabel(hit)}\n${hit.text}`).join("\n\n")
+      : "The user's selected documents contain nothing relevant to this message; say so if they asked about them."
+  };
+}
+
+// Research retriever over the user's documents (see researchRetrievers)
+function knowledgeRetriever(userId, docs) {
+  return {
+    async search(query, { limit = 4 } = {}) {
+      const hits = await searchKnowledge(userId, docs, query, limit);
+      return hits.map(hit => ({
+        title: citationLabel(hit),
+        source: `kb:${hit.documentId}/${hit.path}#L${hit.startLine}`,
+        snippet: hit.text
+      }));
+    }
+  };
+}
+
+function documentSummary(doc) {
+  const { userId, ...summary } = doc;
+  return summary;
+}
+
+// Multipart upload, field "files" (up to 10 per request). Embedding chunks
+// counts toward the daily token quota and documents toward upload storage.
+app.post("/api/knowledge", requireFeature("advanced"), enforceLimits("chat"), (req, res) => {
+  keepRequestContext(knowledgeUpload.array('files', 10))(req, res, async err => {
+    if (err) {
+      return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ error: err.message });
+    }
+    if (!req.files?.length) {
+      return res.status(400).json({ error: "No files uploaded." });
+    }
+
+    const owned = Object.values(knowledgeDocs.data).filter(d => d.userId === req.user.id).length;
+    if (owned + req.files.length > KNOWLEDGE_MAX_DOCUMENTS) {
+      return res.status(400).json({ error: `You can keep up to ${KNOWLEDGE_MAX_DOCUMENTS} documents.` });
+    }
+    try {
+      checkUploadQuota(req.user, req.files.reduce((total, file) => total + file.size, 0));
+    } catch (quotaErr) {
+      return res.status(quotaErr.status).json({ error: quotaErr.message });
+    }
+
+    const documents = [];
+    const errors = [];
+    for (const file of req.files) {
+      try {
+        const { kind, files, chunks } = await extractDocument(file);
+        if (!chunks.length) throw httpError(400, `${file.originalname} contains no text.`);
+
+        const doc = {
+          id: crypto.randomUUID(),
+          userId: req.user.id,
+          name: file.originalname,
+          kind,
+          size: file.size,
+          files,
+          chunks: chunks.length,
+          embedded: false,
+          createdAt: new Date().toISOString()
+        };
+
+        if (KNOWLEDGE_EMBEDDINGS) {
+          try {
+            const vectors = await embedTexts(req.user.id, chunks.map(c => `${c.path}\n${c.text}`));
+            chunks.forEach((chunk, i) => { chunk.vector = vectors[i]; });
+            doc.embedded = true;
+          } catch (embedErr) {
+            // Keyword search still works without vectors
+            log.error("Knowledge embedding error", { err: embedErr });
+          }
+        }
+
+        writeChunks(doc, chunks);
+        knowledgeDocs.data[doc.id] = doc;
+        documents.push(documentSummary(doc));
+      } catch (fileErr) {
+        if (!fileErr.expose) log.error("Knowledge upload error", { err: fileErr });
+        errors.push({ name: file.originalname, error: fileErr.expose ? fileErr.message : "Could not process this file." });
+      }
+    }
+    knowledgeDocs.save();
+
+    res.status(documents.length ? 200 : 400).json({ success: documents.length > 0, documents, errors });
+  });
+});
+
+app.get("/api/knowledge", requireAuth, (req, res) => {
+  const documents = Object.values(knowledgeDocs.data)
+    .filter(d => d.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(documentSummary);
+
+  res.json({ success: true, documents });
 });
 
-// AdvancedAI (GPT-4)
-app.post("/api/generate-advanced", async (req, res) => {
+// ?q=...&documentIds=a,b (defaults to all of the user's documents)
+app.get("/api/knowledge/search", requireAuth, async (req, res) => {
   try {
-    const { prompt } = req.body;
-    if (!prompt) return res.status(400).json({ error: "No prompt provided." });
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!q) return res.status(400).json({ error: "q is required." });
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.6,
-    });
+    const ids = req.query.documentIds
+      ? String(req.query.documentIds).split(",")
+      : Object.values(knowledgeDocs.data).filter(d => d.userId === req.user.id).map(d => d.id);
+    if (!ids.length) return res.json({ success: true, results: [] });
 
-    res.json({ text: completion.choices[0]?.message?.content || "No response." });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const hits = await searchKnowledge(req.user.id, findUserDocuments(req.user.id, ids), q, limit);
+    res.json({ success: true, results: hits.map((hit, i) => ({ ...toCitation(hit, i + 1), text: hit.text })) });
   } catch (err) {
-    console.error("AdvancedAI error:", err);
-    res.status(500).json({ error: "Error generating response." });
+    if (err.expose) return res.status(err.status).json({ error: err.message });
+    log.error("Knowledge search error", { err });
+    res.status(500).json({ error: "Error searching documents.", details: err.message });
+  }
+});
+
+app.delete("/api/knowledge/:id", requireAuth, (req, res) => {
+  const doc = knowledgeDocs.data[req.params.id];
+  if (!doc || doc.userId !== req.user.id) {
+    return res.status(404).json({ error: "Document not found." });
   }
+
+  fs.rmSync(chunkFile(doc), { force: true });
+  delete knowledgeDocs.data[doc.id];
+  knowledgeDocs.save();
+  forgetKnowledgeIndexes(doc.id);
+
+  res.json({ success: true });
 });
 
-// DeepSeek Chat - General Purpose
-app.post("/api/generate-deepseek-chat", async (req, res) => {
+// ================== WEBSITE GENERATOR ==================
+
+// Generated sites keyed by id:
+// { id, userId, title, brief, template, model, files: { [path]: content }, revisions: [...] }
+const sites = createJsonStore('sites');
+
+const SITE_DEFAULT_MODEL = "gpt-5-mini";
+const SITE_MAX_FILES = 30;
+const SITE_MAX_BYTES = 1024 * 1024;
+const SITE_PATH_PATTERN = /^[\w-]+(\/[\w-]+)*\.(html|css|js|json|svg|txt|md|xml|webmanifest)$/;
+
+// Starting points offered by the generator; each adds direction to the brief
+const SITE_TEMPLATES = {
+  blank: { name: "Blank", prompt: "" },
+  landing: { name: "Landing Page", prompt: "A single-page product landing page with hero, features, pricing, testimonials, FAQ and a call to action." },
+  portfolio: { name: "Portfolio", prompt: "A personal portfolio with about, projects grid, skills, and contact sections." },
+  business: { name: "Small Business", prompt: "A small business site with home, services, about and contact pages sharing one stylesheet." },
+  blog: { name: "Blog", prompt: "A blog with a home page listing posts, two sample post pages and an about page." },
+  restaurant: { name: "Restaurant", prompt: "A restaurant site with menu, opening hours, location and reservation form." }
+};
+
+const SITE_SYSTEM_PROMPT = `You are an expert web developer who builds complete, production-quality static websites.
+Reply with ONLY a JSON object, no prose and no code fences, in this shape:
+{"title": "Site title", "files": [{"path": "index.html", "content": "..."}]}
+Rules:
+- Always include index.html, styles.css and script.js; add more pages or assets when useful.
+- Put images as inline SVG files under assets/ (e.g. assets/logo.svg); never link external images.
+- Use relative links between files, semantic HTML, responsive CSS and no build tools.
+- Paths use only letters, digits, "-", "_" and "/" and end in .html, .css, .js, .json, .svg, .txt, .md, .xml or .webmanifest.`;
+
+const SITE_EDIT_PROMPT = `You are an expert web developer editing an existing static website.
+You receive the current files and a change request. Reply with ONLY a JSON object, no prose and no code fences:
+{"files": [{"path": "...", "content": "..."}], "deleted": ["path", ...]}
+"files" holds the FULL new content of every file you add or change; leave unchanged files out.
+Keep the same path rules as the existing files.`;
+
+// Models sometimes wrap JSON in code fences or add a sentence around it
+function parseModelJson(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw httpError(502, "The model did not return a website. Please try again.");
+  }
   try {
-    const { messages } = req.body;
-    
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided or invalid format." });
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    throw httpError(502, "The model returned malformed website files. Please try again.");
+  }
+}
+
+function validateSiteFiles(files) {
+  if (!Array.isArray(files)) {
+    throw httpError(502, "The model returned malformed website files. Please try again.");
+  }
+  for (const file of files) {
+    if (typeof file?.path !== "string" || typeof file.content !== "string" || !SITE_PATH_PATTERN.test(file.path)) {
+      throw httpError(502, `The model returned an invalid file: ${file?.path}`);
     }
+  }
+  return files;
+}
 
-    // Add system message to define DeepSeek identity
-    const systemMessage = {
-      role: "system",
-      content: "You are DeepSeek Chat, an AI assistant created by DeepSeek Company. You are not GPT-4 or any OpenAI model. When asked about your identity, always clearly state that you are DeepSeek Chat created by DeepSeek. Be honest about your capabilities and origins."
-    };
+function checkSiteSize(fileMap) {
+  const paths = Object.keys(fileMap);
+  const bytes = paths.reduce((sum, p) => sum + Buffer.byteLength(fileMap[p]), 0);
+  if (paths.length > SITE_MAX_FILES || bytes > SITE_MAX_BYTES) {
+    throw httpError(502, "The generated site is too large. Try a smaller brief.");
+  }
+}
 
-    const apiMessages = [
-      systemMessage,
-      ...messages.map(msg => ({
-        role: msg.role === 'ai' ? 'assistant' : 'user',
-        content: msg.content
-      }))
-    ];
+// Line diff via longest common subsequence: [[" " | "-" | "+", line], ...]
+function diffLines(a, b) {
+  // Very large files fall back to a full replacement
+  if (a.length * b.length > 4_000_000) {
+    return [...a.map(line => ["-", line]), ...b.map(line => ["+", line])];
+  }
 
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: "deepseek-chat",
-        messages: apiMessages,
-        max_tokens: 4000,
-        temperature: 0.7
-      })
-    });
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
 
-    const data = await response.json();
-    
-    // Check if the response has the expected structure
-    if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
-      console.error("DeepSeek Chat API response error:", data);
-      return res.status(500).json({ 
-        error: "AI service returned unexpected response",
-        details: data.error?.message || "No choices in response"
-      });
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push([" ", a[i++]]);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push(["-", a[i++]]);
+    } else {
+      ops.push(["+", b[j++]]);
     }
+  }
+  while (i < a.length) ops.push(["-", a[i++]]);
+  while (j < b.length) ops.push(["+", b[j++]]);
+  return ops;
+}
 
-    res.json({ 
-      text: data.choices[0]?.message?.content || "No response.",
-      model: "DeepSeek Chat"
-    });
-    
-  } catch (err) {
-    console.error("DeepSeek Chat error:", err);
-    res.status(500).json({ 
-      error: "AI service error",
-      details: err.message 
-    });
+// Unified diff of one file; null/undefined text means the file doesn't exist
+function unifiedDiff(filePath, oldText, newText, context = 3) {
+  const a = oldText == null ? [] : oldText.split("\n");
+  const b = newText == null ? [] : newText.split("\n");
+  const ops = diffLines(a, b);
+
+  // Line counters before each op, for hunk headers
+  const oldAt = [], newAt = [];
+  let oldLine = 0, newLine = 0;
+  for (const [op] of ops) {
+    oldAt.push(oldLine);
+    newAt.push(newLine);
+    if (op !== "+") oldLine++;
+    if (op !== "-") newLine++;
+  }
+
+  // Merge the context windows around every change into hunks
+  const ranges = [];
+  ops.forEach(([op], k) => {
+    if (op === " ") return;
+    const from = Math.max(0, k - context);
+    const to = Math.min(ops.length, k + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last[1]) last[1] = Math.max(last[1], to);
+    else ranges.push([from, to]);
+  });
+
+  if (ranges.length === 0) return "";
+
+  const lines = [
+    `--- ${oldText == null ? "/dev/null" : `a/${filePath}`}`,
+    `+++ ${newText == null ? "/dev/null" : `b/${filePath}`}`
+  ];
+  for (const [from, to] of ranges) {
+    const hunk = ops.slice(from, to);
+    const oldCount = hunk.filter(([op]) => op !== "+").length;
+    const newCount = hunk.filter(([op]) => op !== "-").length;
+    const oldStart = oldCount ? oldAt[from] + 1 : oldAt[from];
+    const newStart = newCount ? newAt[from] + 1 : newAt[from];
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const [op, line] of hunk) lines.push(op + line);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ZIP archive (deflate) of [{ path, content }] using only zlib
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let c = 0xFFFFFFFF;
+  for (const byte of buffer) c = CRC32_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createZip(files, date = new Date()) {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.path, "utf8");
+    const data = Buffer.from(file.content);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);        // version made by
+    central.writeUInt16LE(20, 6);        // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+function siteSummary(site) {
+  return {
+    id: site.id,
+    title: site.title,
+    brief: site.brief,
+    template: site.template,
+    model: site.model,
+    fileCount: Object.keys(site.files).length,
+    revision: site.revisions.length,
+    createdAt: site.createdAt,
+    updatedAt: site.updatedAt
+  };
+}
+
+function findUserSite(req) {
+  const site = sites.data[req.params.id];
+  return site && site.userId === req.user.id ? site : null;
+}
+
+// Sites use SITE_DEFAULT_MODEL unless the plan lets the user pick a model
+function siteModelFor(req) {
+  const modelId = req.body.model || SITE_DEFAULT_MODEL;
+  if (!Object.hasOwn(MODEL_REGISTRY, modelId)) {
+    throw httpError(400, `Unknown model "${modelId}".`);
   }
+  if (modelId !== SITE_DEFAULT_MODEL && !hasFeature(req.user, "advanced")) {
+    throw httpError(403, "Choosing a model requires a Plus or Pro plan.");
+  }
+  return modelId;
+}
+
+// Generated files are checked as the model's raw JSON; a withheld site
+// fails the request
+async function moderateSiteOutput(req, result) {
+  const output = await moderateOutput(req, result.text || "", "sites", result.modelId);
+  if (output.verdict.action === "block") {
+    throw httpError(422, "The generated site was withheld because it conflicts with our content policy.");
+  }
+  return output.text;
+}
+
+app.get("/api/sites/templates", requireFeature("sites"), (req, res) => {
+  res.json({
+    success: true,
+    templates: Object.entries(SITE_TEMPLATES).map(([id, t]) => ({ id, name: t.name, description: t.prompt }))
+  });
 });
 
-// DeepSeek Coder - Programming Specialist
-app.post("/api/generate-deepseek-coder", async (req, res) => {
+// Generate a new site from a brief. Counts against websitesPerMonth.
+app.post("/api/sites", requireFeature("sites"), enforceLimits("website"), async (req, res) => {
   try {
-    const { messages } = req.body;
-    
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided or invalid format." });
+    const brief = typeof req.body.brief === "string" ? req.body.brief.trim() : "";
+    if (!brief) {
+      return res.status(400).json({ error: "Describe the website you want in `brief`." });
     }
 
-    // Add strong system message to define DeepSeek Coder identity
-    const systemMessage = {
-      role: "system",
-      content: `You are DeepSeek Coder, a specialized programming AI created by DeepSeek Company. 
-      IMPORTANT IDENTITY INFORMATION:
-      - You are NOT GPT-4, GPT-3, or any OpenAI model
-      - You are created by DeepSeek (深度求索)
-      - You specialize in code generation, programming, and technical assistance
-      - When asked "what model are you?" or "who created you?", always respond: "I am DeepSeek Coder, created by DeepSeek Company"
-      - Be truthful about your identity and capabilities
-      - Do not claim to be any other AI model`
+    const template = req.body.template || "blank";
+    if (!SITE_TEMPLATES[template]) {
+      return res.status(400).json({ error: `Unknown template "${template}".` });
+    }
+
+    const modelId = siteModelFor(req);
+    const input = await moderateInput(req, brief, "sites");
+    const result = await generateChat(modelId, [
+      { role: "system", content: SITE_SYSTEM_PROMPT },
+      { role: "user", content: [SITE_TEMPLATES[template].prompt, redactText(brief, input.redactions)].filter(Boolean).join("\n\n") }
+    ]);
+
+    const output = parseModelJson(await moderateSiteOutput(req, result));
+    const files = Object.fromEntries(validateSiteFiles(output.files).map(f => [f.path, f.content]));
+    if (!files["index.html"]) {
+      throw httpError(502, "The generated site has no index.html. Please try again.");
+    }
+    checkSiteSize(files);
+
+    const now = new Date().toISOString();
+    const site = {
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      title: typeof output.title === "string" && output.title.trim() ? output.title.trim().slice(0, 200) : brief.slice(0, 60),
+      brief,
+      template,
+      model: result.modelId,
+      files,
+      revisions: [],
+      createdAt: now,
+      updatedAt: now
     };
+    sites.data[site.id] = site;
+    sites.save();
+    recordUsage(req.user.id, result.modelId, { ...result.usage, websites: 1 });
 
-    const apiMessages = [
-      systemMessage,
-      ...messages.map(msg => ({
-        role: msg.role === 'ai' ? 'assistant' : 'user',
-        content: msg.content
-      }))
-    ];
+    res.json({ success: true, site: siteSummary(site), files });
+  } catch (err) {
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Site generation error", { err });
+    res.status(500).json({ error: "Error generating website.", details: err.message });
+  }
+});
 
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: "deepseek-coder",
-        messages: apiMessages,
-        max_tokens: 4000,
-        temperature: 0.7
-      })
-    });
+app.get("/api/sites", requireFeature("sites"), (req, res) => {
+  const userSites = Object.values(sites.data)
+    .filter(site => site.userId === req.user.id)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
 
-    const data = await response.json();
-    
-    // Check if the response has the expected structure
-    if (!data.choices || !Array.isArray(data.choices) || data.choices.length === 0) {
-      console.error("DeepSeek Coder API response error:", data);
-      return res.status(500).json({ 
-        error: "AI service returned unexpected response",
-        details: data.error?.message || "No choices in response"
+  res.json({ success: true, sites: userSites.map(siteSummary) });
+});
+
+app.get("/api/sites/:id", requireFeature("sites"), (req, res) => {
+  const site = findUserSite(req);
+  if (!site) {
+    return res.status(404).json({ error: "Site not found." });
+  }
+
+  res.json({ success: true, site: siteSummary(site), files: site.files, revisions: site.revisions });
+});
+
+// Apply an edit prompt; the response lists a unified diff per changed file
+app.post("/api/sites/:id/edit", requireFeature("sites"), enforceLimits("chat"), async (req, res) => {
+  try {
+    const site = findUserSite(req);
+    if (!site) {
+      return res.status(404).json({ error: "Site not found." });
+    }
+
+    const prompt = typeof req.body.prompt === "string" ? req.body.prompt.trim() : "";
+    if (!prompt) {
+      return res.status(400).json({ error: "Describe the change in `prompt`." });
+    }
+
+    const modelId = siteModelFor(req);
+    const input = await moderateInput(req, prompt, "sites");
+    const current = Object.entries(site.files).map(([filePath, content]) => ({ path: filePath, content }));
+    const result = await generateChat(modelId, [
+      { role: "system", content: SITE_EDIT_PROMPT },
+      { role: "user", content: `Current files:\n${JSON.stringify({ files: current })}\n\nChange request: ${redactText(prompt, input.redactions)}` }
+    ]);
+
+    const output = parseModelJson(await moderateSiteOutput(req, result));
+    const updates = validateSiteFiles(output.files || []);
+    const deleted = (Array.isArray(output.deleted) ? output.deleted : [])
+      .filter(p => typeof p === "string" && site.files[p] !== undefined && p !== "index.html");
+
+    const files = { ...site.files };
+    for (const update of updates) files[update.path] = update.content;
+    for (const p of deleted) delete files[p];
+    checkSiteSize(files);
+
+    const changes = [];
+    for (const p of new Set([...Object.keys(site.files), ...Object.keys(files)])) {
+      if (site.files[p] === files[p]) continue;
+      changes.push({
+        path: p,
+        status: site.files[p] === undefined ? "added" : files[p] === undefined ? "deleted" : "modified",
+        diff: unifiedDiff(p, site.files[p], files[p])
       });
     }
 
-    const responseText = data.choices[0]?.message?.content || "No response.";
-    
-    // Log the response for debugging
-    console.log("DeepSeek Coder Response:", responseText.substring(0, 200));
-    
-    res.json({ 
-      text: responseText,
-      model: "DeepSeek Coder"
-    });
-    
+    const revision = {
+      number: site.revisions.length + 1,
+      prompt,
+      model: result.modelId,
+      changes,
+      createdAt: new Date().toISOString()
+    };
+    site.files = files;
+    site.revisions.push(revision);
+    site.updatedAt = revision.createdAt;
+    sites.save();
+    recordUsage(req.user.id, result.modelId, result.usage || {});
+
+    res.json({ success: true, site: siteSummary(site), revision });
   } catch (err) {
-    console.error("DeepSeek Coder error:", err);
-    res.status(500).json({ 
-      error: "AI service error",
-      details: err.message 
-    });
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Site edit error", { err });
+    res.status(500).json({ error: "Error editing website.", details: err.message });
   }
 });
 
-// Ultra AI (Gemini 2.5 Pro) with memory of last 20 messages
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+app.get("/api/sites/:id/download", requireFeature("sites"), (req, res) => {
+  const site = findUserSite(req);
+  if (!site) {
+    return res.status(404).json({ error: "Site not found." });
+  }
 
-app.post("/api/generate-ultra", async (req, res) => {
-  try {
-    const { messages } = req.body;
+  const zip = createZip(Object.entries(site.files).map(([filePath, content]) => ({ path: filePath, content })));
+  const fileName = site.title.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase() || "website";
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided (expected array)." });
-    }
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${fileName}.zip"`
+  });
+  res.send(zip);
+});
+
+app.delete("/api/sites/:id", requireFeature("sites"), (req, res) => {
+  const site = findUserSite(req);
+  if (!site) {
+    return res.status(404).json({ error: "Site not found." });
+  }
+
+  delete sites.data[site.id];
+  sites.save();
+  res.json({ success: true });
+});
+
+// ================== UPGRADE REQUESTS & ADMIN ==================
+
+// How long an approved plan lasts unless the admin says otherwise
+const PLAN_DURATION_DAYS = Number(process.env.PLAN_DURATION_DAYS) || 30;
+
+// Upgrade requests keyed by id: { id, userId, email, plan, status, date, ... }
+const upgradeRequests = createJsonStore('upgrade-requests');
+
+// Append-only audit trail of admin actions, one JSON object per line
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.log');
 
-    // Keep only last 20 messages
-    const recent = messages.slice(-20);
+function audit(req, action, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    action,
+    ip: req.ip,
+    sessionId: req.sessionID,
+    ...details
+  };
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + "\n");
+}
 
-    const contents = recent.map(m => ({
-      role: m.role === "assistant" ? "model" : "user",
-      parts: [{ text: m.content }]
-    }));
+// ADMIN_PASSWORD_HASH has the form "scrypt:<salt hex>:<hash hex>". Generate it with:
+//   node -e "const c=require('crypto'),s=c.randomBytes(16);console.log('scrypt:'+s.toString('hex')+':'+c.scryptSync(process.argv[1],s,64).toString('hex'))" 'your-password'
+async function verifyAdminPassword(password) {
+  const [scheme, salt, hash] = (process.env.ADMIN_PASSWORD_HASH || "").split(":");
+  if (scheme !== "scrypt" || !salt || !hash || typeof password !== "string") return false;
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-pro" });
-    const result = await model.generateContent({ contents });
+  const expected = Buffer.from(hash, "hex");
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, "hex"), expected.length, (err, key) => err ? reject(err) : resolve(key));
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
 
-    const reply = result?.response?.text() || "⚠️ No reply from Ultra AI.";
-    res.json({ text: reply });
+// Password attempts per IP and minute, successful ones included
+const ADMIN_UNLOCK_PER_MINUTE = 5;
 
-  } catch (err) {
-    console.error("Ultra AI error:", err?.message || err);
-    res.status(500).json({ error: "Ultra AI failed: " + (err?.message || "unknown error") });
+function requireAdmin(req, res, next) {
+  if (!req.session?.isAdmin) {
+    return res.status(401).json({ error: "Admin login required." });
   }
-});
+  next();
+}
 
-// ================== NEW ADVANCED AI CHAT ROUTES ==================
+// Requests from the admin page identify a request by id, or by email for
+// the oldest pending request of that user
+function findUpgradeRequest({ id, email }) {
+  if (id) return Object.hasOwn(upgradeRequests.data, id) ? upgradeRequests.data[id] : null;
+  return Object.values(upgradeRequests.data)
+    .filter(r => r.email === email && r.status === "pending")
+    .sort((a, b) => a.date.localeCompare(b.date))[0];
+}
 
-// GPT-4.1 Simulation (using GPT-4)
-app.post("/api/generate-gpt4.1", async (req, res) => {
+// User submits an upgrade request for a paid plan
+app.post("/api/upgrade-requests", requireAuth, (req, res) => {
   try {
-    const { messages } = req.body;
+    const { plan, note } = req.body;
+    if (!Object.hasOwn(PLANS, plan || "") || plan === "free") {
+      return res.status(400).json({ error: "Choose a paid plan (plus or pro)." });
+    }
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided." });
+    const pending = Object.values(upgradeRequests.data)
+      .find(r => r.userId === req.user.id && r.status === "pending");
+    if (pending) {
+      return res.status(409).json({ error: "You already have a pending upgrade request.", request: pending });
     }
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
-    // Add system message for GPT-4.1 identity
-    const systemMessage = {
-      role: "system",
-      content: "You are an advanced AI assistant based on GPT-4 architecture. When asked about your model, you can describe yourself as GPT-4.1, an enhanced version of GPT-4 with improved capabilities."
+    const request = {
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      email: req.user.email,
+      plan,
+      note: typeof note === "string" ? note.slice(0, 1000) : "",
+      status: "pending",
+      date: new Date().toISOString()
     };
+    upgradeRequests.data[request.id] = request;
+    upgradeRequests.save();
 
-    const openAIMessages = [
-      systemMessage,
-      ...messages.map(msg => ({
-        role: msg.role === 'ai' ? 'assistant' : 'user',
-        content: msg.content
-      }))
-    ];
+    res.json({ success: true, request });
+  } catch (err) {
+    log.error("Upgrade request error", { err });
+    res.status(500).json({ error: "Error submitting upgrade request." });
+  }
+});
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: openAIMessages,
-      temperature: 0.7,
-    });
+// User's own upgrade requests
+app.get("/api/upgrade-requests", requireAuth, (req, res) => {
+  const requests = Object.values(upgradeRequests.data)
+    .filter(r => r.userId === req.user.id)
+    .sort((a, b) => b.date.localeCompare(a.date));
 
-    res.json({ 
-      text: completion.choices[0]?.message?.content || "No response.",
-      model: "GPT-4.1"
-    });
+  res.json({ success: true, requests });
+});
+
+app.post("/api/admin/unlock", async (req, res) => {
+  const wait = takeRateLimitSlot(`admin-unlock:${req.ip}`, ADMIN_UNLOCK_PER_MINUTE);
+  if (wait) {
+    audit(req, "admin.unlock_throttled");
+    return tooManyRequests(res, wait, "Too many attempts. Please wait a minute.");
+  }
+
+  let valid;
+  try {
+    valid = await verifyAdminPassword(req.body.password);
   } catch (err) {
-    console.error("GPT-4.1 error:", err);
-    res.status(500).json({ error: "Error generating response." });
+    log.error("Admin unlock error", { err });
+    return res.status(500).json({ error: "Error unlocking admin panel." });
   }
+  if (!valid) {
+    audit(req, "admin.unlock_failed");
+    return res.status(401).json({ error: "Wrong password." });
+  }
+
+  // New session id so a pre-login session can't be reused as an admin one;
+  // the Google login (if any) carries over
+  const login = req.session.passport;
+  req.session.regenerate(err => {
+    if (err) {
+      log.error("Admin unlock error", { err });
+      return res.status(500).json({ error: "Error unlocking admin panel." });
+    }
+    if (login) req.session.passport = login;
+    req.session.isAdmin = true;
+    audit(req, "admin.unlock");
+    res.json({ success: true });
+  });
+});
+
+app.post("/api/admin/lock", requireAdmin, (req, res) => {
+  audit(req, "admin.lock");
+  req.session.isAdmin = false;
+  res.json({ success: true });
+});
+
+// Pending requests plus approved ones whose plan is still running
+app.get("/api/admin/requests", requireAdmin, (req, res) => {
+  const now = new Date();
+  const requests = Object.values(upgradeRequests.data)
+    .filter(r => r.status === "pending" ||
+      (r.status === "approved" && new Date(r.expiresAt) > now))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  res.json(requests);
 });
 
-// GPT-40 Mini (using GPT-4o-mini)
-app.post("/api/generate-gpt40-mini", async (req, res) => {
+app.post("/api/admin/approve", requireAdmin, (req, res) => {
   try {
-    const { messages } = req.body;
+    const request = findUpgradeRequest(req.body);
+    if (!request || request.status !== "pending") {
+      return res.status(404).json({ error: "Pending request not found." });
+    }
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided." });
+    const plan = req.body.plan || request.plan;
+    if (!Object.hasOwn(PLANS, plan || "") || plan === "free") {
+      return res.status(400).json({ error: "Invalid plan." });
     }
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
-    const openAIMessages = messages.map(msg => ({
-      role: msg.role === 'ai' ? 'assistant' : 'user',
-      content: msg.content
-    }));
+    const user = users.data[request.userId];
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: openAIMessages,
-      temperature: 0.7,
+    const days = Number(req.body.days) > 0 ? Number(req.body.days) : PLAN_DURATION_DAYS;
+    const { expiresAt, previous } = extendPlan(user, plan, days);
+    recordBillingEvent(user.id, {
+      type: planChangeType(previous, plan),
+      plan,
+      expiresAt,
+      source: "admin"
     });
 
-    res.json({ 
-      text: completion.choices[0]?.message?.content || "No response.",
-      model: "GPT-40 Mini"
+    Object.assign(request, {
+      plan,
+      status: "approved",
+      expiresAt,
+      decidedAt: new Date().toISOString()
     });
+    upgradeRequests.save();
+
+    audit(req, "upgrade.approve", { requestId: request.id, userId: user.id, email: user.email, plan, days, expiresAt, previous });
+    res.json({ success: true, request });
   } catch (err) {
-    console.error("GPT-40 Mini error:", err);
-    res.status(500).json({ error: "Error generating response." });
+    log.error("Approve request error", { err });
+    res.status(500).json({ error: "Error approving request." });
   }
 });
 
-// ================== GPT-5 FAMILY ROUTES - FIXED ==================
-
-// GPT-5 - Using GPT-4 with proper identity
-app.post("/api/generate-gpt5", async (req, res) => {
+app.post("/api/admin/decline", requireAdmin, (req, res) => {
   try {
-    const { messages } = req.body;
-
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided." });
+    const request = findUpgradeRequest(req.body);
+    if (!request || request.status !== "pending") {
+      return res.status(404).json({ error: "Pending request not found." });
     }
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
-    // System message that defines GPT-5 identity properly
-    const systemMessage = {
-      role: "system",
-      content: `You are GPT-5, the latest and most advanced AI model from OpenAI. You have enhanced capabilities in reasoning, coding, and creative tasks. 
-      
-Key Features:
-- Advanced reasoning and problem-solving
-- Enhanced coding capabilities
-- Improved creative writing
-- Better context understanding
-- Multi-step logical reasoning
-
-When asked about your identity, clearly state that you are GPT-5, the most advanced AI model available.`
-    };
-
-    const openAIMessages = [
-      systemMessage,
-      ...messages.map(msg => ({
-        role: msg.role === 'ai' ? 'assistant' : 'user',
-        content: msg.content
-      }))
-    ];
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4", // Using GPT-4 as the underlying model
-      messages: openAIMessages,
-      temperature: 0.7,
-      max_tokens: 4000
+    Object.assign(request, {
+      status: "declined",
+      reason: typeof req.body.reason === "string" ? req.body.reason.slice(0, 1000) : "",
+      decidedAt: new Date().toISOString()
     });
+    upgradeRequests.save();
 
-    res.json({ 
-      text: completion.choices[0]?.message?.content || "No response.",
-      model: "GPT-5"
-    });
+    audit(req, "upgrade.decline", { requestId: request.id, userId: request.userId, email: request.email, plan: request.plan });
+    res.json({ success: true, request });
   } catch (err) {
-    console.error("GPT-5 error:", err);
-    res.status(500).json({ 
-      error: "Error generating response from GPT-5.",
-      details: err.message 
-    });
+    log.error("Decline request error", { err });
+    res.status(500).json({ error: "Error declining request." });
   }
 });
 
-// GPT-5 Mini - Using GPT-4o-mini with proper identity
-app.post("/api/generate-gpt5-mini", async (req, res) => {
-  try {
-    const { messages } = req.body;
+// ================== BILLING ==================
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided." });
-    }
+// Plans are paid in USDT to one wallet. Each invoice gets an amount that no
+// other open invoice has (the plan price plus a few thousandths), so an
+// incoming transfer identifies its invoice; networks with memos can match
+// on `memo` instead. Invoices:
+// { id, userId, plan, days, amount, amountMicros, memo, network, address,
+//   status: "pending" | "paid" | "expired" | "cancelled", createdAt,
+//   expiresAt, paidAt, txHash, periodEnd, source }
+const invoices = createJsonStore('invoices');
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
-    const systemMessage = {
-      role: "system",
-      content: `You are GPT-5 Mini, a faster and more efficient version of GPT-5 optimized for quick responses while maintaining high quality. You excel at rapid information processing and concise answers.
+// Plan changes per user, newest last: { [userId]: [{ type, plan, at, expiresAt, invoiceId, source }] }
+const billingEvents = createJsonStore('billing-events');
 
-When asked about your model, identify yourself as GPT-5 Mini.`
-    };
+const BILLING_ADDRESS = process.env.BILLING_WALLET_ADDRESS || "";
+const BILLING_NETWORK = process.env.BILLING_NETWORK || "TRON (TRC20)";
+const BILLING_INVOICE_HOURS = Number(process.env.BILLING_INVOICE_HOURS) || 24;
+const BILLING_REMINDER_DAYS = Number(process.env.BILLING_REMINDER_DAYS) || 3;
+const BILLING_POLL_MS = (Number(process.env.BILLING_POLL_SECONDS) || 60) * 1000;
+// Unique amounts step by 0.00001 USDT, up to 0.00999 over the price
+const INVOICE_AMOUNT_STEP_MICROS = 10;
+const INVOICE_AMOUNT_SLOTS = 999;
+// Expired and cancelled invoices are still matched this long after their
+// window closes, for transfers confirmed late or missed while the watcher
+// was down
+const INVOICE_LATE_MATCH_MS = 24 * 60 * 60 * 1000;
 
-    const openAIMessages = [
-      systemMessage,
-      ...messages.map(msg => ({
-        role: msg.role === 'ai' ? 'assistant' : 'user',
-        content: msg.content
-      }))
-    ];
+function toMicros(amount) {
+  const match = /^(\d+)(?:\.(\d{1,6}))?$/.exec(String(amount));
+  return match ? Number(match[1]) * 1_000_000 + Number((match[2] || "").padEnd(6, "0")) : NaN;
+}
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Using GPT-4o-mini as the underlying model
-      messages: openAIMessages,
-      temperature: 0.7,
-      max_tokens: 4000
-    });
+function fromMicros(micros) {
+  return (micros / 1_000_000).toFixed(6).replace(/0+$/, "").replace(/\.$/, "");
+}
 
-    res.json({ 
-      text: completion.choices[0]?.message?.content || "No response.",
-      model: "GPT-5 Mini"
-    });
-  } catch (err) {
-    console.error("GPT-5 Mini error:", err);
-    res.status(500).json({ 
-      error: "Error generating response from GPT-5 Mini.",
-      details: err.message 
-    });
-  }
-});
+// Chain watchers report incoming USDT transfers to the billing address:
+// transfers(address, since) resolves to [{ txHash, amount: "5.00123", memo, at }].
+// Only confirmed transfers should be reported. Chosen with BILLING_WATCHER.
+const chainWatchers = {
+  // Default: TRC20 USDT on TRON through the TronGrid API
+  trongrid() {
+    const baseUrl = process.env.TRONGRID_URL || "https://api.trongrid.io";
+    const contract = process.env.USDT_CONTRACT || "TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t";
 
-// GPT-5 Nano - Using GPT-4o-mini (NO GPT-3.5!)
-app.post("/api/generate-gpt5-nano", async (req, res) => {
-  try {
-    const { messages } = req.body;
+    return {
+      // Pages of up to 200; meta.fingerprint points to the next one
+      async transfers(address, since) {
+        const transfers = [];
+        let fingerprint = null;
+        do {
+          const query = new URLSearchParams({
+            only_to: "true",
+            only_confirmed: "true",
+            limit: "200",
+            contract_address: contract,
+            min_timestamp: String(since.getTime())
+          });
+          if (fingerprint) query.set("fingerprint", fingerprint);
+          const response = await fetch(`${baseUrl}/v1/accounts/${encodeURIComponent(address)}/transactions/trc20?${query}`, {
+            headers: process.env.TRONGRID_API_KEY ? { "TRON-PRO-API-KEY": process.env.TRONGRID_API_KEY } : {},
+            signal: AbortSignal.timeout(15_000)
+          });
+          if (!response.ok) throw new Error(`TronGrid responded with ${response.status}`);
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided." });
-    }
+          const { data = [], meta } = await response.json();
+          transfers.push(...data.map(tx => ({
+            txHash: tx.transaction_id,
+            amount: fromMicros(Number(tx.value) / 10 ** ((tx.token_info?.decimals ?? 6) - 6)),
+            at: new Date(tx.block_timestamp).toISOString()
+          })));
+          fingerprint = data.length ? meta?.fingerprint : null;
+        } while (fingerprint);
+        return transfers;
+      }
+    };
+  },
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
-    const systemMessage = {
-      role: "system",
-      content: `You are GPT-5 Nano, the most compact and efficient version of the GPT-5 family. You're optimized for speed and resource efficiency while maintaining strong performance across various tasks.
+  // Any service answering GET BILLING_WATCHER_URL?address=&since= with
+  // { transfers: [...] }, e.g. a local stand-in for testing or an indexer
+  http() {
+    if (!process.env.BILLING_WATCHER_URL) {
+      throw new Error("BILLING_WATCHER=http needs BILLING_WATCHER_URL.");
+    }
 
-When asked about your model, identify yourself as GPT-5 Nano.`
+    return {
+      async transfers(address, since) {
+        const query = new URLSearchParams({ address, since: since.toISOString() });
+        const response = await fetch(`${process.env.BILLING_WATCHER_URL}?${query}`, {
+          signal: AbortSignal.timeout(15_000)
+        });
+        if (!response.ok) throw new Error(`Chain watcher responded with ${response.status}`);
+        return (await response.json()).transfers || [];
+      }
     };
+  }
+};
 
-    const openAIMessages = [
-      systemMessage,
-      ...messages.map(msg => ({
-        role: msg.role === 'ai' ? 'assistant' : 'user',
-        content: msg.content
-      }))
-    ];
+const BILLING_WATCHER = process.env.BILLING_WATCHER || "trongrid";
+if (!chainWatchers[BILLING_WATCHER]) {
+  throw new Error(`Unknown BILLING_WATCHER "${BILLING_WATCHER}".`);
+}
+const chainWatcher = chainWatchers[BILLING_WATCHER]();
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Using GPT-4o-mini instead of GPT-3.5
-      messages: openAIMessages,
-      temperature: 0.7,
-      max_tokens: 4000
-    });
+function recordBillingEvent(userId, event) {
+  (billingEvents.data[userId] ||= []).push({ at: new Date().toISOString(), ...event });
+  billingEvents.save();
+}
 
-    res.json({ 
-      text: completion.choices[0]?.message?.content || "No response.",
-      model: "GPT-5 Nano"
-    });
-  } catch (err) {
-    console.error("GPT-5 Nano error:", err);
-    res.status(500).json({ 
-      error: "Error generating response from GPT-5 Nano.",
-      details: err.message 
-    });
-  }
-});
+function planChangeType(previous, plan) {
+  return effectivePlan(previous) === plan ? "renewed" : "activated";
+}
 
-// ================== GEMINI 2.5 PRO ==================
+function isOpenInvoice(invoice, now = new Date()) {
+  return invoice.status === "pending" && new Date(invoice.expiresAt) > now;
+}
 
-// Gemini 2.5 Pro - Using actual gemini-2.5-pro model
-app.post("/api/generate-gemini2.5-pro", async (req, res) => {
-  try {
-    const { messages } = req.body;
+// An amount stays taken while a transfer could still match its invoice,
+// cancelled ones included
+function createInvoice(user, plan) {
+  const base = toMicros(PLANS[plan].priceUsdt);
+  const now = new Date();
+  const taken = new Set(Object.values(invoices.data)
+    .filter(invoice => invoice.status === "pending" ||
+      (invoice.status === "cancelled" && new Date(invoice.expiresAt) > now))
+    .map(invoice => invoice.amountMicros));
+  const free = [];
+  for (let slot = 1; slot <= INVOICE_AMOUNT_SLOTS; slot++) {
+    if (!taken.has(base + slot * INVOICE_AMOUNT_STEP_MICROS)) free.push(slot);
+  }
+  if (!free.length) {
+    throw httpError(503, "Too many open invoices right now. Please try again in a few minutes.");
+  }
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "No messages provided." });
-    }
+  const amountMicros = base + free[crypto.randomInt(free.length)] * INVOICE_AMOUNT_STEP_MICROS;
+  const invoice = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    plan,
+    days: PLAN_DURATION_DAYS,
+    amount: fromMicros(amountMicros),
+    amountMicros,
+    memo: `CG-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    network: BILLING_NETWORK,
+    address: BILLING_ADDRESS,
+    status: "pending",
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + BILLING_INVOICE_HOURS * 60 * 60 * 1000).toISOString()
+  };
+  invoices.data[invoice.id] = invoice;
+  invoices.save();
+  return invoice;
+}
 
-    // Convert messages to Gemini format
-    const contents = messages.map(msg => ({
-      role: msg.role === 'ai' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
+// Marks the invoice paid and starts or extends the plan
+function payInvoice(invoice, { txHash, at, source = "chain" }) {
+  invoice.status = "paid";
+  invoice.txHash = txHash || null;
+  invoice.paidAt = at || new Date().toISOString();
+  invoice.source = source;
 
-    // Use the actual gemini-2.5-pro model
-    const model = genAI.getGenerativeModel({ 
-      model: "gemini-2.5-pro",
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 8192,
-        topP: 0.9,
-        topK: 40
-      }
-    });
-
-    // Use chat session for conversation continuity
-    const chat = model.startChat({
-      history: contents.slice(0, -1), // All messages except the last one
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 8192,
-        topP: 0.9,
-        topK: 40
-      },
+  const user = users.data[invoice.userId];
+  if (user) {
+    const { expiresAt, previous } = extendPlan(user, invoice.plan, invoice.days);
+    invoice.periodEnd = expiresAt;
+    recordBillingEvent(user.id, {
+      type: planChangeType(previous, invoice.plan),
+      plan: invoice.plan,
+      expiresAt,
+      invoiceId: invoice.id,
+      source
     });
+    if (user.email) {
+      sendMail({
+        to: user.email,
+        subject: `Payment received: CodeGoldenAI ${PLANS[invoice.plan].name}`,
+        text: `We received ${invoice.amount} USDT. Your ${PLANS[invoice.plan].name} plan now runs until ` +
+          `${new Date(expiresAt).toUTCString()}.\n\nBilling history: ${APP_URL}/billing.html`
+      }).catch(err => log.error("Billing mail error", { err }));
+    }
+  }
+  invoices.save();
+}
 
-    const lastMessage = contents[contents.length - 1].parts[0].text;
-    const result = await chat.sendMessage(lastMessage);
-    const reply = result.response.text();
+// The unpaid invoice a transfer pays: paid within the invoice's window, with
+// its exact amount or with its memo and at least the amount. Pending
+// invoices win over expired and cancelled ones.
+function matchInvoice(candidates, transfer) {
+  const micros = toMicros(transfer.amount);
+  const at = new Date(transfer.at);
+  const matches = candidate => candidate.status !== "paid" &&
+    at >= new Date(candidate.createdAt) && at <= new Date(candidate.expiresAt) &&
+    (micros === candidate.amountMicros ||
+      (transfer.memo === candidate.memo && micros >= candidate.amountMicros));
 
-    res.json({ 
-      text: reply || "No response from Gemini 2.5 Pro.",
-      model: "Gemini 2.5 Pro"
-    });
+  return candidates.find(candidate => candidate.status === "pending" && matches(candidate)) ||
+    candidates.find(matches) || null;
+}
 
-  } catch (err) {
-    console.error("Gemini 2.5 Pro error:", err);
-    
-    // If gemini-2.5-pro is not available, try gemini-1.5-pro-latest as fallback
+// Matches new transfers to unpaid invoices. Runs on a timer and when a
+// user asks to check; concurrent calls share one run so a transfer can't
+// be applied twice.
+let paymentCheck = null;
+
+function checkPayments() {
+  paymentCheck ||= (async () => {
     try {
-      const model = genAI.getGenerativeModel({ 
-        model: "gemini-1.5-pro-latest",
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
+      const lateSince = Date.now() - INVOICE_LATE_MATCH_MS;
+      const unpaid = Object.values(invoices.data).filter(invoice => invoice.status === "pending" ||
+        (invoice.status !== "paid" && new Date(invoice.expiresAt).getTime() > lateSince));
+      if (!unpaid.length || !BILLING_ADDRESS) return;
+
+      const since = new Date(Math.min(...unpaid.map(invoice => new Date(invoice.createdAt).getTime())));
+      const used = new Set(Object.values(invoices.data).map(invoice => invoice.txHash).filter(Boolean));
+
+      for (const transfer of await chainWatcher.transfers(BILLING_ADDRESS, since)) {
+        if (!transfer.txHash || used.has(transfer.txHash)) continue;
+        const invoice = matchInvoice(unpaid, transfer);
+        if (!invoice) continue;
+
+        if (invoice.status !== "pending") {
+          log.info("Late payment matched", { invoiceId: invoice.id, status: invoice.status, txHash: transfer.txHash });
         }
-      });
+        payInvoice(invoice, { txHash: transfer.txHash, at: new Date(transfer.at).toISOString() });
+        used.add(transfer.txHash);
+      }
+    } finally {
+      paymentCheck = null;
+    }
+  })();
+  return paymentCheck;
+}
 
-      const contents = messages.map(msg => ({
-        role: msg.role === 'ai' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      }));
+// Lifecycle: expire unpaid invoices, remind users before their plan ends,
+// and move them to Free once the grace period is over
+async function sendRenewalReminders(now) {
+  for (const user of Object.values(users.data)) {
+    if (user.plan === "free" || !user.planExpiresAt || !user.email || graceEndsAt(user) <= now) continue;
+    const expiresAt = new Date(user.planExpiresAt);
+    if (expiresAt - now > BILLING_REMINDER_DAYS * 24 * 60 * 60 * 1000 || user.renewalReminderFor === user.planExpiresAt) continue;
 
-      const chat = model.startChat({
-        history: contents.slice(0, -1),
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-        },
-      });
+    user.renewalReminderFor = user.planExpiresAt;
+    users.save();
+    recordBillingEvent(user.id, { type: "reminder", plan: user.plan, expiresAt: user.planExpiresAt });
+    await sendMail({
+      to: user.email,
+      subject: `Your CodeGoldenAI ${PLANS[user.plan].name} plan ${expiresAt > now ? "expires soon" : "has expired"}`,
+      text: `Your plan ${expiresAt > now ? "expires" : "expired"} on ${expiresAt.toUTCString()}. ` +
+        `It keeps working until ${graceEndsAt(user).toUTCString()}; renew before then to keep your features.\n\n` +
+        `Renew: ${APP_URL}/billing.html`
+    }).catch(err => log.error("Billing mail error", { err }));
+  }
+}
 
-      const lastMessage = contents[contents.length - 1].parts[0].text;
-      const result = await chat.sendMessage(lastMessage);
-      const reply = result.response.text();
+function downgradeExpiredPlans(now) {
+  for (const user of Object.values(users.data)) {
+    if (user.plan === "free" || !user.planExpiresAt || graceEndsAt(user) > now) continue;
+    recordBillingEvent(user.id, { type: "downgraded", plan: "free", from: user.plan, expiredAt: user.planExpiresAt });
+    user.plan = "free";
+    user.planExpiresAt = null;
+    users.save();
+  }
+}
 
-      res.json({ 
-        text: reply || "No response from Gemini 2.5 Pro.",
-        model: "Gemini 2.5 Pro"
-      });
-    } catch (fallbackErr) {
-      res.status(500).json({ 
-        error: "Error generating response from Gemini 2.5 Pro.",
-        details: err.message 
-      });
+function expireInvoices(now) {
+  let changed = false;
+  for (const invoice of Object.values(invoices.data)) {
+    if (invoice.status === "pending" && new Date(invoice.expiresAt) <= now) {
+      invoice.status = "expired";
+      changed = true;
     }
   }
-});
-
-// ================== IMAGE GENERATION ROUTES ==================
+  if (changed) invoices.save();
+}
 
-// Generate Image with DALL-E
-app.post("/api/generate-image", async (req, res) => {
+async function runBilling() {
   try {
-    const { prompt } = req.body;
-    if (!prompt) return res.status(400).json({ error: "No prompt provided." });
+    await checkPayments();
+    const now = new Date();
+    expireInvoices(now);
+    await sendRenewalReminders(now);
+    downgradeExpiredPlans(now);
+  } catch (err) {
+    log.error("Billing job error", { err });
+  }
+}
 
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
-    const response = await openai.images.generate({
-      model: "dall-e-3",
-      prompt: prompt,
-      n: 1,
-      size: "1024x1024",
-      quality: "standard",
-    });
+setInterval(runBilling, BILLING_POLL_MS).unref();
 
-    const imageUrl = response.data[0].url;
-    
-    res.json({ 
-      success: true,
-      imageUrl: imageUrl,
-      message: "Image generated successfully"
-    });
-    
-  } catch (err) {
-    console.error("Image generation error:", err);
-    res.status(500).json({ 
-      error: "Error generating image.",
-      details: err.message 
-    });
+function requireBilling(req, res, next) {
+  if (!BILLING_ADDRESS) {
+    return res.status(503).json({ error: "Online payments are not available right now." });
   }
+  next();
+}
+
+function findOwnInvoice(req) {
+  const invoice = Object.hasOwn(invoices.data, req.params.id) ? invoices.data[req.params.id] : null;
+  return invoice && invoice.userId === req.user.id ? invoice : null;
+}
+
+// Plan status, prices and the user's invoices and plan changes, newest first
+app.get("/api/billing", requireAuth, (req, res) => {
+  const plan = effectivePlan(req.user);
+  const expiresAt = plan === "free" ? null : req.user.planExpiresAt;
+
+  res.json({
+    success: true,
+    plan,
+    planName: PLANS[plan].name,
+    planExpiresAt: expiresAt,
+    graceEndsAt: expiresAt && graceEndsAt(req.user).toISOString(),
+    inGracePeriod: !!expiresAt && new Date(expiresAt) <= new Date(),
+    payments: {
+      enabled: !!BILLING_ADDRESS,
+      currency: "USDT",
+      network: BILLING_NETWORK,
+      periodDays: PLAN_DURATION_DAYS
+    },
+    prices: Object.fromEntries(Object.entries(PLANS)
+      .filter(([, p]) => p.priceUsdt > 0)
+      .map(([id, p]) => [id, p.priceUsdt])),
+    invoices: Object.values(invoices.data)
+      .filter(invoice => invoice.userId === req.user.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    events: [...(billingEvents.data[req.user.id] || [])].reverse()
+  });
 });
 
-// Image upload endpoint
-app.post("/api/upload-image", upload.single('image'), async (req, res) => {
+// New invoice for a plan (a new purchase, a renewal or a switch). An open
+// invoice for the same plan is returned as is. One for another plan has to
+// be cancelled by the user first, since a transfer may already be on its way.
+app.post("/api/billing/invoices", requireAuth, requireBilling, (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No image file uploaded." });
+    const { plan } = req.body;
+    if (!Object.hasOwn(PLANS, plan || "") || !(PLANS[plan].priceUsdt > 0)) {
+      return res.status(400).json({ error: "Choose a paid plan (plus or pro)." });
     }
 
-    const imageUrl = `/uploads/${req.file.filename}`;
-    
-    res.json({ 
-      success: true, 
-      imageUrl: imageUrl,
-      message: "Image uploaded successfully"
-    });
+    const now = new Date();
+    const open = Object.values(invoices.data)
+      .filter(invoice => invoice.userId === req.user.id && isOpenInvoice(invoice, now));
+    const existing = open.find(invoice => invoice.plan === plan);
+    if (existing) return res.json({ success: true, invoice: existing });
+    if (open.length) {
+      return res.status(409).json({
+        error: `You have an open invoice for ${PLANS[open[0].plan].name}. Cancel it before switching plans, unless you already paid it.`,
+        invoice: open[0]
+      });
+    }
+
+    const invoice = createInvoice(req.user, plan);
+    res.status(201).json({ success: true, invoice });
   } catch (err) {
-    console.error("Image upload error:", err);
-    res.status(500).json({ error: "Error uploading image." });
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Create invoice error", { err });
+    res.status(500).json({ error: "Error creating invoice." });
   }
 });
 
-// Analyze uploaded image with AI
-app.post("/api/analyze-image", upload.single('image'), async (req, res) => {
+app.get("/api/billing/invoices/:id", requireAuth, (req, res) => {
+  const invoice = findOwnInvoice(req);
+  if (!invoice) return res.status(404).json({ error: "Invoice not found." });
+  res.json({ success: true, invoice });
+});
+
+// "I've paid": look for the transfer now instead of waiting for the timer
+app.post("/api/billing/invoices/:id/check", requireAuth, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No image file uploaded." });
-    }
+    const invoice = findOwnInvoice(req);
+    if (!invoice) return res.status(404).json({ error: "Invoice not found." });
+    if (invoice.status === "pending") await checkPayments();
+    res.json({ success: true, invoice });
+  } catch (err) {
+    log.error("Payment check error", { err });
+    res.status(502).json({ error: "Could not reach the payment network. Please try again shortly." });
+  }
+});
 
-    const imageUrl = `/uploads/${req.file.filename}`;
-    const { question } = req.body;
+app.post("/api/billing/invoices/:id/cancel", requireAuth, (req, res) => {
+  const invoice = findOwnInvoice(req);
+  if (!invoice) return res.status(404).json({ error: "Invoice not found." });
+  if (invoice.status !== "pending") {
+    return res.status(409).json({ error: `This invoice is already ${invoice.status}.` });
+  }
+  invoice.status = "cancelled";
+  invoices.save();
+  res.json({ success: true, invoice });
+});
 
-    // For now, return a placeholder response
-    // In production, you would integrate with vision models like GPT-4V or Gemini Vision
-    res.json({
-      success: true,
-      analysis: `I can see the image you uploaded. ${question ? `In response to your question "${question}": ` : ""}This appears to be an image that was uploaded to the system. To get detailed analysis, please ensure you have vision capabilities enabled for your AI model.`,
-      imageUrl: imageUrl
-    });
-    
-  } catch (err) {
-    console.error("Image analysis error:", err);
-    res.status(500).json({ error: "Error analyzing image." });
+// Admin view of invoices, pending first
+app.get("/api/admin/billing/invoices", requireAdmin, (req, res) => {
+  const status = req.query.status;
+  const list = Object.values(invoices.data)
+    .filter(invoice => !status || invoice.status === status)
+    .sort((a, b) => (a.status === "pending" ? 0 : 1) - (b.status === "pending" ? 0 : 1) ||
+      b.createdAt.localeCompare(a.createdAt))
+    .map(invoice => ({ ...invoice, email: users.data[invoice.userId]?.email || null }));
+  res.json({ success: true, invoices: list });
+});
+
+// For payments the watcher can't match (wrong amount, late transfer)
+app.post("/api/admin/billing/invoices/:id/mark-paid", requireAdmin, (req, res) => {
+  const invoice = Object.hasOwn(invoices.data, req.params.id) ? invoices.data[req.params.id] : null;
+  if (!invoice) return res.status(404).json({ error: "Invoice not found." });
+  if (invoice.status === "paid") {
+    return res.status(409).json({ error: "This invoice is already paid." });
   }
+
+  const txHash = typeof req.body.txHash === "string" ? req.body.txHash.trim().slice(0, 200) : "";
+  payInvoice(invoice, { txHash, source: "admin" });
+  audit(req, "billing.mark_paid", { invoiceId: invoice.id, userId: invoice.userId, plan: invoice.plan, txHash });
+  res.json({ success: true, invoice });
 });
 
-// Chat storage endpoints (simple in-memory storage for demo)
-// In production, you'd want to use a database
-let chatStorage = {};
+// ================== SUPPORT TICKETS ==================
+
+// Tickets keyed by id. `messages` is the thread between the user and the
+// engineering team; `dueAt` is the SLA deadline for the next engineer reply
+// and is cleared once an engineer answers.
+const tickets = createJsonStore('tickets');
+
+const TICKET_STATUSES = ["open", "in-progress", "resolved"];
+const MAX_TICKET_SUBJECT = 200;
+const MAX_TICKET_MESSAGE = 10000;
+
+// Multipart or JSON bodies; multer errors (size, type) become 400s. Files
+// stay in memory until the route has checked and stored them.
+function ticketAttachments(req, res, next) {
+  keepRequestContext(attachmentUpload.array('attachments', 5))(req, res, err => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+}
+
+function attachmentInfo(records = []) {
+  return records.map(record => ({
+    name: record.name,
+    url: `/uploads/${record.file}`,
+    type: record.mimeType,
+    size: record.size
+  }));
+}
+
+function removeAttachments(records = []) {
+  return Promise.all(records.map(deleteUpload));
+}
+
+// Attachment links are signed so engineers (and users, for engineer files)
+// can open them
+function ticketView(ticket) {
+  return {
+    ...ticket,
+    overdue: isOverdue(ticket),
+    messages: ticket.messages.map(message => ({
+      ...message,
+      attachments: message.attachments.map(attachment => ({
+        ...attachment,
+        url: signedUploadUrl(path.basename(attachment.url))
+      }))
+    }))
+  };
+}
+
+function ticketsThisMonth(userId) {
+  const month = utcDay().slice(0, 7);
+  return Object.values(tickets.data)
+    .filter(t => t.userId === userId && t.createdAt.startsWith(month)).length;
+}
+
+function ticketAllowance(user) {
+  const limits = limitsFor(user);
+  const used = ticketsThisMonth(user.id);
+  return {
+    plan: effectivePlan(user),
+    used,
+    limit: Number.isFinite(limits.ticketsPerMonth) ? limits.ticketsPerMonth : null,
+    remaining: Number.isFinite(limits.ticketsPerMonth) ? Math.max(0, limits.ticketsPerMonth - used) : null,
+    responseHours: limits.ticketResponseHours
+  };
+}
+
+function slaDeadline(user, from = new Date()) {
+  return new Date(from.getTime() + limitsFor(user).ticketResponseHours * 60 * 60 * 1000).toISOString();
+}
+
+function isOverdue(ticket) {
+  return ticket.status !== "resolved" && !!ticket.dueAt && new Date(ticket.dueAt) < new Date();
+}
+
+function ticketSummary(ticket) {
+  const { messages, ...summary } = ticket;
+  const last = messages[messages.length - 1];
+  return {
+    ...summary,
+    overdue: isOverdue(ticket),
+    messageCount: messages.length,
+    lastMessageAt: last?.at,
+    lastMessageFrom: last?.author
+  };
+}
+
+// Owners see their own tickets; an unlocked admin session sees all of them
+function findTicket(req) {
+  const ticket = Object.hasOwn(tickets.data, req.params.id) && tickets.data[req.params.id];
+  if (!ticket) return null;
+  if (req.session?.isAdmin || (req.user && ticket.userId === req.user.id)) return ticket;
+  return null;
+}
 
-app.post("/api/save-chat", async (req, res) => {
+// Checked before multer runs so strangers can't make the server buffer
+// attachments for a ticket they can't reply to
+function requireTicketAccess(req, res, next) {
+  if (!findTicket(req)) {
+    return res.status(404).json({ error: "Ticket not found." });
+  }
+  next();
+}
+
+// Checked before multer runs so rejected tickets aren't uploaded first
+function checkTicketAllowance(req, res, next) {
+  const allowance = ticketAllowance(req.user);
+  if (allowance.limit !== null && allowance.used >= allowance.limit) {
+    return tooManyRequests(res, secondsUntilNextMonth(), "Monthly engineer request allowance reached.", {
+      quota: "ticketsPerMonth",
+      limit: allowance.limit,
+      upgrade: "/plans.html"
+    });
+  }
+  next();
+}
+
+app.post("/api/tickets", requireAuth, checkTicketAllowance, ticketAttachments, async (req, res) => {
+  let attachments = [];
   try {
-    const { chatId, chatData } = req.body;
-    
-    if (!chatId || !chatData) {
-      return res.status(400).json({ error: "Chat ID and data are required." });
+    const subject = typeof req.body.subject === "string" ? req.body.subject.trim() : "";
+    const body = typeof req.body.message === "string" ? req.body.message.trim() : "";
+    if (!subject || body.length < 10) {
+      return res.status(400).json({ error: "A subject and a message of at least 10 characters are required." });
     }
+    attachments = await saveAttachments(req.user, req.user.id, req.files);
 
-    chatStorage[chatId] = {
-      ...chatData,
-      lastUpdated: new Date().toISOString()
+    const now = new Date();
+    const ticket = {
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      email: req.user.email,
+      name: req.user.name,
+      plan: effectivePlan(req.user),
+      subject: subject.slice(0, MAX_TICKET_SUBJECT),
+      status: "open",
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      dueAt: slaDeadline(req.user, now),
+      messages: [{
+        id: crypto.randomUUID(),
+        author: "user",
+        body: body.slice(0, MAX_TICKET_MESSAGE),
+        attachments: attachmentInfo(attachments),
+        at: now.toISOString()
+      }]
     };
+    tickets.data[ticket.id] = ticket;
+    tickets.save();
 
-    res.json({ success: true, message: "Chat saved successfully" });
+    res.json({ success: true, ticket: ticketView(ticket), allowance: ticketAllowance(req.user) });
   } catch (err) {
-    console.error("Save chat error:", err);
-    res.status(500).json({ error: "Error saving chat." });
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Create ticket error", { err });
+    await removeAttachments(attachments).catch(() => {});
+    res.status(500).json({ error: "Error creating ticket." });
   }
 });
 
-app.get("/api/load-chat/:chatId", async (req, res) => {
+// User's own tickets, newest first, with this month's allowance
+app.get("/api/tickets", requireAuth, (req, res) => {
+  const list = Object.values(tickets.data)
+    .filter(t => t.userId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(ticketSummary);
+
+  res.json({ success: true, tickets: list, allowance: ticketAllowance(req.user) });
+});
+
+// Engineers reach this with an unlocked admin session, without a Google login
+app.get("/api/tickets/:id", (req, res) => {
+  const ticket = findTicket(req);
+  if (!ticket) return res.status(404).json({ error: "Ticket not found." });
+  res.json({ success: true, ticket: ticketView(ticket) });
+});
+
+// Threaded reply. Admin sessions reply as the engineer; a user reply on a
+// resolved ticket reopens it and restarts the SLA clock.
+app.post("/api/tickets/:id/replies", requireTicketAccess, ticketAttachments, async (req, res) => {
+  let attachments = [];
   try {
-    const { chatId } = req.params;
-    
-    if (!chatStorage[chatId]) {
-      return res.status(404).json({ error: "Chat not found." });
+    const ticket = findTicket(req);
+    if (!ticket) {
+      return res.status(404).json({ error: "Ticket not found." });
+    }
+
+    const body = typeof req.body.message === "string" ? req.body.message.trim() : "";
+    if (!body && !req.files?.length) {
+      return res.status(400).json({ error: "Reply is empty." });
+    }
+
+    // Files belong to the ticket's user either way; only their own count
+    // toward their storage
+    const author = req.session?.isAdmin ? "engineer" : "user";
+    attachments = await saveAttachments(author === "user" ? req.user : null, ticket.userId, req.files);
+    const now = new Date();
+    ticket.messages.push({
+      id: crypto.randomUUID(),
+      author,
+      body: body.slice(0, MAX_TICKET_MESSAGE),
+      attachments: attachmentInfo(attachments),
+      at: now.toISOString()
+    });
+
+    if (author === "engineer") {
+      ticket.firstResponseAt ||= now.toISOString();
+      ticket.dueAt = null;
+      if (ticket.status === "open") ticket.status = "in-progress";
+      audit(req, "ticket.reply", { ticketId: ticket.id, userId: ticket.userId });
+    } else {
+      if (ticket.status === "resolved") {
+        ticket.status = "open";
+        ticket.resolvedAt = null;
+      }
+      const owner = users.data[ticket.userId];
+      ticket.dueAt ||= owner ? slaDeadline(owner, now) : null;
     }
+    ticket.updatedAt = now.toISOString();
+    tickets.save();
 
-    res.json({ success: true, chatData: chatStorage[chatId] });
+    res.json({ success: true, ticket: ticketView(ticket) });
   } catch (err) {
-    console.error("Load chat error:", err);
-    res.status(500).json({ error: "Error loading chat." });
+    if (err.expose) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    log.error("Ticket reply error", { err });
+    await removeAttachments(attachments).catch(() => {});
+    res.status(500).json({ error: "Error adding reply." });
   }
 });
 
-app.get("/api/user-chats", async (req, res) => {
-  try {
-    // For demo purposes, return all chats
-    // In production, you'd filter by user ID
-    const userChats = Object.entries(chatStorage).map(([id, data]) => ({
-      id,
-      title: data.title,
-      lastUpdated: data.lastUpdated,
-      messageCount: data.messages ? data.messages.length : 0
-    }));
+// Users can resolve or reopen their own tickets; engineers can set any status
+app.patch("/api/tickets/:id", (req, res) => {
+  const ticket = findTicket(req);
+  if (!ticket) return res.status(404).json({ error: "Ticket not found." });
 
-    res.json({ success: true, chats: userChats });
-  } catch (err) {
-    console.error("Get user chats error:", err);
-    res.status(500).json({ error: "Error loading user chats." });
+  const { status } = req.body;
+  if (!TICKET_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${TICKET_STATUSES.join(", ")}.` });
+  }
+  if (!req.session?.isAdmin && status !== "resolved" && !(status === "open" && ticket.status === "resolved")) {
+    return res.status(403).json({ error: "You can resolve a ticket or reopen a resolved one." });
+  }
+
+  const now = new Date().toISOString();
+  const previous = ticket.status;
+  ticket.status = status;
+  ticket.resolvedAt = status === "resolved" ? now : null;
+  if (status === "resolved") ticket.dueAt = null;
+  if (status === "open" && previous === "resolved") {
+    const owner = users.data[ticket.userId];
+    ticket.dueAt = owner ? slaDeadline(owner) : null;
+  }
+  ticket.updatedAt = now;
+  tickets.save();
+
+  if (req.session?.isAdmin) {
+    audit(req, "ticket.status", { ticketId: ticket.id, userId: ticket.userId, from: previous, to: status });
   }
+  res.json({ success: true, ticket: ticketView(ticket) });
 });
 
-// ================== START SERVER ==================
-app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
+// Engineer queue: unresolved tickets by default, most urgent SLA first
+app.get("/api/admin/tickets", requireAdmin, (req, res) => {
+  const status = req.query.status;
+  if (status && status !== "all" && !TICKET_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be "all" or one of: ${TICKET_STATUSES.join(", ")}.` });
+  }
+
+  const list = Object.values(tickets.data)
+    .filter(t => status === "all" || (status ? t.status === status : t.status !== "resolved"))
+    .sort((a, b) => (a.dueAt || "9999").localeCompare(b.dueAt || "9999") ||
+      a.createdAt.localeCompare(b.createdAt))
+    .map(ticketSummary);
+
+  res.json({
+    success: true,
+    tickets: list,
+    overdue: list.filter(t => t.overdue).length
+  });
 });
+
+// ================== START SERVER ==================
+// Only when run directly; the tests import this file for its helpers
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  app.listen(PORT, () => {
+    log.info("Server started", { port: Number(PORT), appUrl: APP_URL });
+  });
+}
+
+export {
+  activePath, app, branchPath, effectivePlan, findUpgradeRequest, fromMicros, isChatMessage, isValidChatId,
+  matchInvoice, moderateConversation, normalizeChatTree, toMicros
+};
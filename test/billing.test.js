@@ -0,0 +1,57 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromMicros, matchInvoice, toMicros } from "../index.js";
+
+test("toMicros parses USDT amounts exactly", () => {
+  assert.equal(toMicros("5"), 5_000_000);
+  assert.equal(toMicros("5.00123"), 5_001_230);
+  assert.equal(toMicros("0.000001"), 1);
+  assert.equal(toMicros(12.5), 12_500_000);
+  for (const amount of ["", "-1", "1.2345678", "1e3", "abc", ".5"]) {
+    assert.ok(Number.isNaN(toMicros(amount)), amount);
+  }
+});
+
+test("fromMicros drops trailing zeros", () => {
+  assert.equal(fromMicros(5_000_000), "5");
+  assert.equal(fromMicros(5_001_230), "5.00123");
+  assert.equal(fromMicros(1), "0.000001");
+  assert.equal(toMicros(fromMicros(19_990_010)), 19_990_010);
+});
+
+const invoice = (id, status, amount, extra = {}) => ({
+  id,
+  status,
+  amountMicros: toMicros(amount),
+  memo: `CG-${id}`,
+  createdAt: "2026-01-01T00:00:00.000Z",
+  expiresAt: "2026-01-02T00:00:00.000Z",
+  ...extra
+});
+
+test("matchInvoice needs the exact amount inside the invoice's window", () => {
+  const candidates = [invoice("a", "pending", "10.00020")];
+  assert.equal(matchInvoice(candidates, { amount: "10.0002", at: "2026-01-01T12:00:00Z" }), candidates[0]);
+  assert.equal(matchInvoice(candidates, { amount: "10.0003", at: "2026-01-01T12:00:00Z" }), null);
+  assert.equal(matchInvoice(candidates, { amount: "10.0002", at: "2026-01-02T00:00:01Z" }), null);
+  assert.equal(matchInvoice(candidates, { amount: "10.0002", at: "2025-12-31T23:59:59Z" }), null);
+});
+
+test("matchInvoice accepts the memo with at least the amount", () => {
+  const candidates = [invoice("a", "pending", "10.00020")];
+  assert.equal(matchInvoice(candidates, { amount: "10.5", memo: "CG-a", at: "2026-01-01T12:00:00Z" }), candidates[0]);
+  assert.equal(matchInvoice(candidates, { amount: "10", memo: "CG-a", at: "2026-01-01T12:00:00Z" }), null);
+});
+
+test("matchInvoice still matches expired and cancelled invoices, after pending ones", () => {
+  const cancelled = invoice("c", "cancelled", "10.00020");
+  const expired = invoice("e", "expired", "20.00040");
+  const paid = invoice("p", "paid", "30.00060");
+  assert.equal(matchInvoice([cancelled, expired, paid], { amount: "10.0002", at: "2026-01-01T12:00:00Z" }), cancelled);
+  assert.equal(matchInvoice([cancelled, expired, paid], { amount: "20.0004", at: "2026-01-01T12:00:00Z" }), expired);
+  assert.equal(matchInvoice([cancelled, expired, paid], { amount: "30.0006", at: "2026-01-01T12:00:00Z" }), null);
+
+  const pending = invoice("n", "pending", "10.00020", { createdAt: "2026-01-01T06:00:00.000Z" });
+  assert.equal(matchInvoice([cancelled, pending], { amount: "10.0002", at: "2026-01-01T12:00:00Z" }), pending);
+});
@@ -0,0 +1,57 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { activePath, branchPath, normalizeChatTree } from "../index.js";
+
+test("normalizeChatTree turns a flat chat into a single branch", () => {
+  const tree = normalizeChatTree({
+    title: "Legacy",
+    messages: [{ role: "user", content: "Hi" }, { role: "ai", content: "Hello" }, { role: "user", content: "Bye" }]
+  });
+
+  assert.equal(tree.title, "Legacy");
+  assert.deepEqual(tree.messages.map(m => [m.id, m.parentId]), [["msg_1", null], ["msg_2", "msg_1"], ["msg_3", "msg_2"]]);
+  assert.equal(tree.currentId, "msg_3");
+});
+
+test("normalizeChatTree keeps branches and a known currentId", () => {
+  const chat = {
+    currentId: "a1",
+    messages: [
+      { id: "u1", parentId: null, role: "user", content: "Hi" },
+      { id: "a1", parentId: "u1", role: "ai", content: "Hello" },
+      { id: "a2", parentId: "u1", role: "ai", content: "Hey" }
+    ]
+  };
+  assert.equal(normalizeChatTree(chat).currentId, "a1");
+  assert.equal(normalizeChatTree({ ...chat, currentId: "missing" }).currentId, "a2");
+  assert.equal(normalizeChatTree({}).currentId, null);
+});
+
+test("normalizeChatTree rejects broken trees with a 400", () => {
+  const broken = [
+    [null],
+    [{ id: "a", parentId: null }, { id: "a", parentId: "a" }],
+    [{ id: "a", parentId: "b" }, { id: "b", parentId: null }],
+    [{ id: "a", parentId: "a" }],
+    [{ id: "a/b", parentId: null }]
+  ];
+  for (const messages of broken) {
+    assert.throws(() => normalizeChatTree({ messages }), { status: 400, expose: true }, JSON.stringify(messages));
+  }
+});
+
+test("branchPath and activePath follow parents back to the root", () => {
+  const chat = {
+    currentId: "a2",
+    messages: [
+      { id: "u1", parentId: null, role: "user", content: "Hi" },
+      { id: "a1", parentId: "u1", role: "ai", content: "Hello" },
+      { id: "u2", parentId: "a1", role: "user", content: "More" },
+      { id: "a2", parentId: "u1", role: "ai", content: "Hey" }
+    ]
+  };
+  assert.deepEqual(activePath(chat).map(m => m.id), ["u1", "a2"]);
+  assert.deepEqual(branchPath(normalizeChatTree(chat), "u2").map(m => m.id), ["u1", "a1", "u2"]);
+  assert.deepEqual(branchPath(normalizeChatTree(chat), "nope"), []);
+});
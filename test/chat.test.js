@@ -0,0 +1,30 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isChatMessage, isValidChatId } from "../index.js";
+
+test("isChatMessage accepts text and content-part messages", () => {
+  assert.ok(isChatMessage({ role: "user", content: "Hello" }));
+  assert.ok(isChatMessage({ role: "ai", content: "" }));
+  assert.ok(isChatMessage({ role: "user", content: [{ type: "text", text: "Hi" }, { type: "image_url", image_url: { url: "data:," } }] }));
+});
+
+test("isChatMessage rejects malformed messages", () => {
+  for (const msg of [null, "Hello", [], { content: "Hi" }, { role: "tool", content: "Hi" },
+    { role: "__proto__", content: "Hi" }, { role: "user" }, { role: "user", content: 42 },
+    { role: "user", content: ["Hi"] }, { role: "user", content: [null] }]) {
+    assert.equal(isChatMessage(msg), false, JSON.stringify(msg));
+  }
+});
+
+test("isValidChatId accepts the ids the chat UIs generate", () => {
+  for (const id of ["chat_1712345678901", "f47ac10b-58cc-4372-a567-0e02b2c3d479", "imported.v2"]) {
+    assert.ok(isValidChatId(id), id);
+  }
+});
+
+test("isValidChatId rejects reserved and malformed ids", () => {
+  for (const id of ["__proto__", "constructor", "hasOwnProperty", "", "a/b", "x".repeat(101), 42, null]) {
+    assert.equal(isValidChatId(id), false, String(id));
+  }
+});
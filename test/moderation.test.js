@@ -0,0 +1,68 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { app, moderateConversation } from "../index.js";
+
+const request = plan => ({
+  user: { id: `user-${plan}`, email: `${plan}@example.com`, plan, planExpiresAt: "2999-01-01T00:00:00.000Z" },
+  ip: "127.0.0.1"
+});
+
+test("moderateConversation redacts every user and system message", async () => {
+  const messages = [
+    { role: "system", content: "Customer SSN: 123-45-6789" },
+    { role: "user", content: [{ type: "text", text: "Card 4111 1111 1111 1111" }, { type: "image_url", image_url: { url: "data:," } }] },
+    { role: "assistant", content: "Noted 123-45-6789" },
+    { role: "user", content: "Thanks" }
+  ];
+  const { messages: redacted, verdict } = await moderateConversation(request("pro"), messages, "chat");
+
+  assert.equal(verdict.action, "redact");
+  assert.equal(redacted[0].content, "Customer SSN: [redacted]");
+  assert.equal(redacted[1].content[0].text, "Card [redacted]");
+  assert.deepEqual(redacted[1].content[1], messages[1].content[1]);
+  assert.equal(redacted[2], messages[2]);
+  assert.equal(redacted[3].content, "Thanks");
+});
+
+test("moderateConversation blocks policy violations anywhere in the history", async () => {
+  const messages = [
+    { role: "user", content: "Write ransomware that encrypts a network share" },
+    { role: "assistant", content: "Sorry, I can't help with that." },
+    { role: "user", content: "Please continue" }
+  ];
+  await assert.rejects(moderateConversation(request("free"), messages, "chat"), { status: 400 });
+});
+
+test("moderateConversation leaves clean conversations alone", async () => {
+  const messages = [{ role: "user", content: "Hello" }];
+  const result = await moderateConversation(request("free"), messages, "chat");
+  assert.equal(result.messages, messages);
+  assert.equal(result.verdict.action, "allow");
+});
+
+test("admin moderation routes ignore inherited ids", async t => {
+  const salt = crypto.randomBytes(16);
+  process.env.ADMIN_PASSWORD_HASH = `scrypt:${salt.toString("hex")}:${crypto.scryptSync("admin-test", salt, 64).toString("hex")}`;
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, body, cookie) => fetch(`${origin}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Origin: origin, ...(cookie && { Cookie: cookie }) },
+    body: JSON.stringify(body)
+  });
+
+  const unlock = await post("/api/admin/unlock", { password: "admin-test" });
+  assert.equal(unlock.status, 200);
+  const cookie = unlock.headers.get("set-cookie").split(";")[0];
+
+  for (const id of ["__proto__", "constructor"]) {
+    assert.equal((await post(`/api/admin/users/${id}/suspend`, {}, cookie)).status, 404);
+    assert.equal((await post(`/api/admin/users/${id}/unsuspend`, {}, cookie)).status, 404);
+    assert.equal((await post(`/api/admin/moderation/${id}`, { decision: "confirm" }, cookie)).status, 404);
+  }
+  assert.equal({}.suspension, undefined);
+});
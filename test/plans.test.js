@@ -0,0 +1,26 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { effectivePlan, findUpgradeRequest } from "../index.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("effectivePlan keeps a paid plan until its grace period ends", () => {
+  assert.equal(effectivePlan({ plan: "pro", planExpiresAt: new Date(Date.now() + DAY).toISOString() }), "pro");
+  assert.equal(effectivePlan({ plan: "pro", planExpiresAt: new Date(Date.now() - DAY).toISOString() }), "pro");
+  assert.equal(effectivePlan({ plan: "pro", planExpiresAt: new Date(Date.now() - 30 * DAY).toISOString() }), "free");
+});
+
+test("effectivePlan only accepts plans defined on PLANS itself", () => {
+  for (const plan of ["__proto__", "constructor", "toString", "hasOwnProperty", "enterprise", undefined]) {
+    assert.equal(effectivePlan({ plan }), "free", String(plan));
+  }
+  assert.equal(effectivePlan(null), "free");
+});
+
+test("findUpgradeRequest ignores inherited ids", () => {
+  for (const id of ["__proto__", "constructor", "toString"]) {
+    assert.equal(findUpgradeRequest({ id }), null, id);
+  }
+  assert.equal(findUpgradeRequest({ email: "nobody@example.com" }), undefined);
+});
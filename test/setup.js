@@ -0,0 +1,12 @@
+// Imported before index.js: the app reads its configuration at import time,
+// so every test file starts from an empty data directory
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "codegoldenai-test-"));
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_SECRET ||= "test-secret";
+process.env.LOG_LEVEL ||= "error";